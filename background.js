@@ -1,5 +0,0 @@
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === "TABLE_LOADED") {
-        console.log("Table loaded on", sender.tab.url);
-    }
-});
\ No newline at end of file
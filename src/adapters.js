@@ -0,0 +1,208 @@
+import { parsePeriodString } from "./dates";
+import { getMessage } from "./i18n";
+
+/**
+ * A row read from a Tripletex page, in the same form regardless of which view it comes from.
+ *
+ * Day rows start a new group, and the entry rows after a day row belong to that day.
+ *
+ * @typedef {Object} PageRow
+ * @property {string} type - Either "day" or "entry".
+ * @property {HTMLElement} element - The element the row was read from, highlighted when the row is clicked in the panel.
+ * @property {string} [id] - For day rows, an ID of the day that stays the same while the page is shown.
+ * @property {string} [dayString] - For day rows, the day as shown on the page, e.g. "Mandag 13.10".
+ * @property {string} [activity] - For entry rows, the activity name.
+ * @property {string} [intervalsText] - For entry rows, the stopwatch intervals, e.g. "(09:00 - 12:00)", or an empty string.
+ * @property {(number|null)} [registeredHours] - For entry rows, the registered hours, or null if the row has none.
+ */
+
+/**
+ * Reads one view of Tripletex.
+ *
+ * @typedef {Object} PageAdapter
+ * @property {string} id - A short ID of the view.
+ * @property {string} label - The name of the view in the current language, shown in diagnostics.
+ * @property {RegExp} urlPattern - Matches the URLs of the view. Must be covered by the content script matches in the manifest.
+ * @property {string} tableSelector - Selects the table with the hours.
+ * @property {string} mountPointSelector - Selects the element the panel is added to, which also contains the period shown.
+ * @property {string} expectedRows - Describes the rows the adapter looks for in the current language, shown in diagnostics.
+ * @property {function(HTMLTableElement): Array<PageRow>} readRows - Reads the rows of the table.
+ */
+
+/**
+ * Parses a number of hours as shown by Tripletex, such as "7,5", "7.50" or "3".
+ *
+ * @param {string} hoursString - The text to parse.
+ * @returns {(number|null)} The number of hours, or null if the text is not a number.
+ */
+function parseHours(hoursString) {
+    const text = (hoursString || "").trim().replace(/\s+/g, "");
+    if (!/^\d+(?:[.,]\d+)?$/.test(text)) return null;
+    return parseFloat(text.replace(",", "."));
+}
+
+/**
+ * Returns the text of a cell, or the value of the input in it if the cell is editable.
+ *
+ * @param {(HTMLTableCellElement|undefined)} cell - The cell to read.
+ * @returns {string} The trimmed text with whitespace collapsed, or an empty string if there is no cell.
+ */
+function getCellText(cell) {
+    if (!cell) return "";
+    const input = cell.querySelector("input");
+    return (input ? input.value : cell.textContent).trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Returns the index of the first column whose header text matches the given pattern.
+ *
+ * @param {HTMLTableElement} table - The table to search.
+ * @param {RegExp} headerPattern - The pattern the header text must match.
+ * @returns {number} The column index, or -1 if no header matches.
+ */
+function getColumnIndex(table, headerPattern) {
+    const headerRow = table?.querySelector("thead tr:last-child");
+    if (!headerRow) return -1;
+    return Array.from(headerRow.cells).findIndex((cell) => headerPattern.test(cell.textContent.trim()));
+}
+
+/**
+ * Matches the header of the column with registered hours.
+ */
+const HOURS_HEADER_PATTERN = /^(timer|hours|antall timer)$/i;
+
+/**
+ * Reads the hours registered on a table row.
+ * Uses the hours column if known, otherwise the last cell after the activity containing only a number.
+ *
+ * @param {HTMLTableRowElement} row - The table row to read.
+ * @param {number} hoursColumnIndex - The index of the hours column, or -1 if unknown.
+ * @returns {(number|null)} The registered hours, or null if the row has no registered hours.
+ */
+function getRowRegisteredHours(row, hoursColumnIndex) {
+    if (hoursColumnIndex >= 0) {
+        return parseHours(getCellText(row.cells[hoursColumnIndex]));
+    }
+    const cells = Array.from(row.cells).slice(2).reverse();
+    for (const cell of cells) {
+        const hours = parseHours(getCellText(cell));
+        if (hours !== null) return hours;
+    }
+    return null;
+}
+
+/**
+ * Reads the rows of the hour list layout, where each day starts with a header row that has an `id`,
+ * followed by one row per entry with the activity in the second cell and the stopwatch intervals in
+ * a `.timeReportStopwatchIntervals` element.
+ *
+ * @param {HTMLTableElement} table - The table to read.
+ * @returns {Array<PageRow>} The rows read.
+ */
+function readHourListRows(table) {
+    const hoursColumnIndex = getColumnIndex(table, HOURS_HEADER_PATTERN);
+    const rows = [];
+    Array.from(table.querySelectorAll("tbody tr")).forEach((row) => {
+        if (row.id) {
+            const firstCell = row.querySelector("td");
+            const dayStringElement = firstCell ? firstCell.querySelector("strong") : null;
+            rows.push({ type: "day", element: row, id: row.id, dayString: dayStringElement ? dayStringElement.textContent.trim() : "" });
+            return;
+        }
+        const intervalsElement = row.querySelector(".timeReportStopwatchIntervals strong");
+        rows.push({
+            type: "entry",
+            element: row,
+            activity: getCellText(row.cells[1]),
+            intervalsText: intervalsElement ? intervalsElement.textContent.trim() : "",
+            registeredHours: getRowRegisteredHours(row, hoursColumnIndex)
+        });
+    });
+    return rows;
+}
+
+/**
+ * The supported Tripletex views. The first adapter whose URL pattern matches the page is used.
+ * A view is only added once its URLs and markup are known from saved pages of it, since a guessed layout fails on every page.
+ *
+ * @type {ReadonlyArray<PageAdapter>}
+ */
+export const PAGE_ADAPTERS = Object.freeze([
+    {
+        id: "hourList",
+        get label() {
+            return getMessage("viewHourList");
+        },
+        urlPattern: /\/execute\/updateHourlist\b/,
+        tableSelector: "#timeReportTable",
+        mountPointSelector: "#wrapperDiv",
+        get expectedRows() {
+            return getMessage("expectedRowsHourList");
+        },
+        readRows: readHourListRows
+    }
+]);
+
+/**
+ * Returns the adapter for the page with the given URL.
+ *
+ * @param {string} url - The URL of the page.
+ * @returns {(PageAdapter|null)} The adapter, or null if the page is not a supported view.
+ */
+export function findPageAdapter(url) {
+    return PAGE_ADAPTERS.find((adapter) => adapter.urlPattern.test(url)) || null;
+}
+
+/**
+ * Returns the first adapter that recognises the layout of the page, for pages whose URL is not known, such as saved pages.
+ *
+ * @param {Document} document - The page document.
+ * @returns {(PageAdapter|null)} The adapter, or null if no adapter recognises the layout.
+ */
+export function detectPageAdapter(document) {
+    return PAGE_ADAPTERS.find((adapter) => diagnosePageLayout(adapter, document).length === 0) || null;
+}
+
+/**
+ * Finds the period shown on the Tripletex page, such as "13.10.2025 - 19.10.2025".
+ * Both the text and the values of input fields in the mount point of the adapter are searched.
+ *
+ * @param {PageAdapter} adapter - The adapter of the page.
+ * @param {Document} document - The page document.
+ * @returns {({start: Date, end: Date}|null)} The period, or null if it could not be found.
+ */
+export function readPagePeriod(adapter, document) {
+    const contentContainerElement = document.querySelector(adapter.mountPointSelector);
+    if (!contentContainerElement) return null;
+
+    const inputValues = Array.from(contentContainerElement.querySelectorAll("input"))
+        .map((input) => input.value)
+        .filter(Boolean);
+    const fromInputs = parsePeriodString(inputValues.join(" - "));
+    if (fromInputs) return fromInputs;
+
+    return parsePeriodString(contentContainerElement.textContent);
+}
+
+/**
+ * Checks whether the page has the layout the adapter expects, and describes what is missing if not.
+ *
+ * A table without body rows is accepted, since a period without entries is shown as an empty table.
+ *
+ * @param {PageAdapter} adapter - The adapter of the page.
+ * @param {Document} document - The page document.
+ * @returns {Array<string>} Descriptions of what was not found in the current language, or an empty array if the layout was recognised.
+ */
+export function diagnosePageLayout(adapter, document) {
+    const problems = [];
+    const table = document.querySelector(adapter.tableSelector);
+    if (!table) {
+        problems.push(getMessage("problemTableMissing", adapter.tableSelector));
+    } else if (table.querySelector("tbody tr") && !adapter.readRows(table).some((row) => row.type === "day")) {
+        problems.push(getMessage("problemNoDays", adapter.expectedRows));
+    }
+    if (!document.querySelector(adapter.mountPointSelector)) {
+        problems.push(getMessage("problemMountPointMissing", adapter.mountPointSelector));
+    }
+    return problems;
+}
@@ -0,0 +1,365 @@
+import { PAGE_ADAPTERS, detectPageAdapter, diagnosePageLayout, findPageAdapter, readPagePeriod } from "./adapters";
+import { getActivityColors } from "./colors";
+import { evaluateCompliance } from "./compliance";
+import { parseDayString, toDateKey } from "./dates";
+import { getMessage } from "./i18n";
+import { getIntervalComplement, getIntervalUnion, getOverlapRegions, getOverlappingPairs, getTotalDuration } from "./intervals";
+import { DEFAULT_SETTINGS, normalizeSettings } from "./settings";
+
+/**
+ * Parses a string containing time intervals and returns an array of interval objects with start and stop times.
+ *
+ * The intervals should be in the format "(HH:MM - HH:MM)", and multiple intervals can be present in the string.
+ * If the stop time is before the start time, it is assumed the interval passes midnight.
+ * An interval without a stop time, "(HH:MM - )", is shown by Tripletex while the stopwatch is running.
+ * It is returned with the current time as stop time and `running` set to true. If the stopwatch has run past midnight,
+ * `groupTableRows` moves the time after midnight to the following day, as for other intervals passing midnight.
+ *
+ * @param {string} intervalsString - The string containing time intervals to parse.
+ * @param {string} activity - The activity associated with each interval.
+ * @param {(Date|null)} [date] - The date the intervals belong to. Defaults to today if not given.
+ * @param {Date} [now] - The current time, used as stop time of running intervals.
+ * @returns {Array<{startTime: Date, stopTime: Date, activity: string, running: boolean}>} Array of interval objects with startTime, stopTime, activity and running.
+ */
+export function getIntervalsFromString(intervalsString, activity, date = null, now = new Date()) {
+    // Trim unnecessary spaces
+    const text = intervalsString.trim();
+
+    // Use regex to match all time intervals, with or without stop time
+    const regex = /\((\d{2}):(\d{2})\s*-\s*(?:(\d{2}):(\d{2}))?\s*\)/g;
+
+    let matches;
+    const intervals = [];
+
+    // Use the date of the group, or today's date if it is unknown
+    const intervalsDate = date || new Date();
+    const year = intervalsDate.getFullYear();
+    const month = intervalsDate.getMonth();
+    const day = intervalsDate.getDate();
+
+    // Loop through all matches
+    while ((matches = regex.exec(text)) !== null) {
+        const [, startHour, startMinute, stopHour, stopMinute] = matches;
+
+        // Create start and stop Date objects
+        const startTime = new Date(year, month, day, startHour, startMinute);
+
+        // A running stopwatch has no stop time yet, so it grows until now
+        if (stopHour === undefined) {
+            intervals.push({ startTime, stopTime: new Date(Math.max(+startTime, +now)), activity, running: true });
+            continue;
+        }
+
+        let stopTime = new Date(year, month, day, stopHour, stopMinute);
+
+        // If stop time is before start time, it means the interval passes midnight → add 1 day
+        if (stopTime < startTime) {
+            stopTime.setDate(stopTime.getDate() + 1);
+        }
+
+        intervals.push({ startTime, stopTime, activity, running: false });
+    }
+    return intervals;
+}
+
+/**
+ * Moves the part of each interval that passes midnight to the group of the following day.
+ * Intervals are only split if the following day is among the groups; otherwise they are kept whole.
+ *
+ * @param {Array<Object>} groups - The groups, each with `date` and `intervals`.
+ */
+function splitIntervalsAtMidnight(groups) {
+    const groupsByDateKey = new Map(groups.filter((group) => group.date).map((group) => [toDateKey(group.date), group]));
+
+    groups.forEach((group) => {
+        if (!group.date) return;
+        const midnight = new Date(group.date.getFullYear(), group.date.getMonth(), group.date.getDate() + 1);
+        const nextGroup = groupsByDateKey.get(toDateKey(midnight));
+        if (!nextGroup) return;
+
+        group.intervals = group.intervals.flatMap((interval) => {
+            if (interval.stopTime <= midnight || interval.startTime >= midnight) {
+                return [interval];
+            }
+            nextGroup.intervals.push({ ...interval, startTime: midnight, continuedFromPreviousDay: true });
+            return [{ ...interval, stopTime: midnight, running: false, continuesNextDay: true }];
+        });
+    });
+}
+
+/**
+ * Returns the intervals started on the day of the group, leaving out the parts of intervals continued from the previous day.
+ * The continued parts count as time worked, but do not start the day, so the rest before the day's own work is not a pause.
+ *
+ * @param {Object} group - The group object containing intervals.
+ * @param {Array} group.intervals - Array of interval objects.
+ * @returns {Array<Object>} The intervals started on the day.
+ */
+function getDayStartedIntervals(group) {
+    return group.intervals.filter((interval) => !interval.continuedFromPreviousDay);
+}
+
+/**
+ * Returns the earliest start time among the intervals started on the day of the given group.
+ *
+ * @param {Object} group - The group object containing intervals.
+ * @param {Array} group.intervals - Array of interval objects.
+ * @returns {(Date|null)} The earliest start time, or null if there are no intervals started on the day.
+ */
+export function getGroupStartTime(group) {
+    const coveredRegions = getIntervalUnion(getDayStartedIntervals(group));
+    if (coveredRegions.length > 0) {
+        return coveredRegions[0].startTime;
+    } else {
+        return null;
+    }
+}
+
+/**
+ * Returns the latest stop time among the intervals started on the day of the given group.
+ *
+ * @param {Object} group - The group object containing intervals.
+ * @param {Array} group.intervals - An array of interval objects.
+ * @returns {(Date|null)} The latest stop time, or null if there are no intervals started on the day.
+ */
+export function getGroupStopTime(group) {
+    const coveredRegions = getIntervalUnion(getDayStartedIntervals(group));
+    if (coveredRegions.length > 0) {
+        return coveredRegions[coveredRegions.length - 1].stopTime;
+    } else {
+        return null;
+    }
+}
+
+/**
+ * Calculates the total time for all intervals in a group.
+ * Overlapping time is counted once for each interval it belongs to.
+ *
+ * @param {Object} group - The group object containing intervals.
+ * @param {Array<Object>} group.intervals - Array of interval objects.
+ * @param {number} group.intervals[].startTime - The start time of the interval (in milliseconds).
+ * @param {number} group.intervals[].stopTime - The stop time of the interval (in milliseconds).
+ * @returns {number} The total time of all intervals in the group (in milliseconds).
+ */
+export function getGroupTotalTime(group) {
+    return getTotalDuration(group.intervals);
+}
+
+/**
+ * Calculates the time covered by at least one interval in a group.
+ * Overlapping time is only counted once.
+ *
+ * @param {Object} group - The group object containing intervals.
+ * @param {Array<Object>} group.intervals - Array of interval objects with `startTime` and `stopTime` properties.
+ * @returns {number} The covered time in milliseconds.
+ */
+export function getGroupCoveredTime(group) {
+    return getTotalDuration(getIntervalUnion(group.intervals));
+}
+
+/**
+ * Returns the gaps in a group, i.e. the time between the first start and the last stop not covered by any interval.
+ * Work continued from the previous day covers time, but the rest after it is not a gap, see `getGroupStartTime`.
+ *
+ * @param {Object} group - The group object containing intervals.
+ * @param {Array<Object>} group.intervals - Array of interval objects with `startTime` and `stopTime` properties.
+ * @returns {Array<{startTime: Date, stopTime: Date}>} The gaps, sorted by start time.
+ */
+export function getGroupGaps(group) {
+    const startTime = getGroupStartTime(group);
+    const stopTime = getGroupStopTime(group);
+    if (!startTime || !stopTime) {
+        return [];
+    }
+    return getIntervalComplement(group.intervals, startTime, stopTime);
+}
+
+/**
+ * Calculates the total gap time in milliseconds in a group, i.e. the time between the first start
+ * and the last stop that is not covered by any interval.
+ *
+ * @param {Object} group - The group object containing intervals.
+ * @param {Array<Object>} group.intervals - Array of interval objects with `startTime` and `stopTime` properties (in milliseconds).
+ * @returns {number} The total gap time in milliseconds between intervals.
+ */
+export function getGroupTotalGapTime(group) {
+    return getTotalDuration(getGroupGaps(group));
+}
+
+/**
+ * Calculates the total overlap time (in milliseconds) in a group, i.e. the time covered by two or more intervals.
+ * Time where several intervals overlap is only counted once.
+ *
+ * @param {Object} group - The group containing intervals.
+ * @param {Array<Object>} group.intervals - Array of interval objects, each with `startTime` and `stopTime` properties (in milliseconds).
+ * @returns {number} The total overlap time in milliseconds.
+ */
+export function getGroupTotalOverlapTime(group) {
+    return getTotalDuration(getOverlapRegions(group.intervals));
+}
+
+/**
+ * Calculates the registered and untimed time of a group from its entries.
+ * An entry is untimed when it has registered hours but no stopwatch intervals.
+ *
+ * @param {Object} group - The group object containing entries.
+ * @param {Array<Object>} group.entries - Array of entry objects with `registeredTimeMs`, `discrepancyMs` and `untimed`.
+ * @returns {{registeredTimeMs: number, untimedTimeMs: number, untimedEntryCount: number, discrepancyMs: number}}
+ *   The registered time, the untimed time and number of untimed entries, and the summed discrepancy of timed entries.
+ */
+export function getGroupRegisteredTime(group) {
+    const untimedEntries = group.entries.filter((entry) => entry.untimed);
+    return {
+        registeredTimeMs: group.entries.reduce((total, entry) => total + entry.registeredTimeMs, 0),
+        untimedTimeMs: untimedEntries.reduce((total, entry) => total + entry.registeredTimeMs, 0),
+        untimedEntryCount: untimedEntries.length,
+        discrepancyMs: group.entries.reduce((total, entry) => total + entry.discrepancyMs, 0)
+    };
+}
+
+/**
+ * Groups the rows read from the page by the page adapter into one group per day,
+ * extracts interval data, assigns unique colors to activities, and calculates summary statistics
+ * for each group (total time, start/stop times, gap/overlap times).
+ *
+ * @param {Array<Object>} pageRows - The rows from `readRows` of the page adapter, with day rows followed by their entry rows.
+ * @param {({start: Date, end: Date}|null)} [period] - The period shown on the page, used to resolve the year of each day.
+ * @param {Object} [colors] - How to color the activities.
+ * @param {string} [colors.palette] - The palette to use, one of `COLOR_PALETTES`.
+ * @param {Object.<string, string>} [colors.overrides] - Colors chosen by the user, keyed by activity name.
+ * @returns {Array<Object>} Array of group objects, each containing:
+ *   - headerRowElementId {string}: The ID of the day row for the group.
+ *   - headerElement {HTMLElement}: The element of the day row.
+ *   - dayString {string}: The day string extracted from the header row.
+ *   - date {(Date|null)}: The date of the group at local midnight, or null if the day string could not be parsed.
+ *   - intervals {Array<Object>}: Array of interval objects with activity, startTime, stopTime, running, color, rowElement and entry.
+ *     Intervals passing midnight are split between this group and the following day's group, and keep the entry of their row.
+ *   - entries {Array<Object>}: One entry per table row with activity, color, registeredTimeMs, intervalTimeMs, discrepancyMs and untimed.
+ *     `intervalTimeMs` is the stopwatch time of the whole row, also the part passing midnight.
+ *   - registeredTimeMs {number}: Total hours registered on the rows of the group (milliseconds).
+ *   - untimedTimeMs {number}: Registered hours on rows without stopwatch intervals (milliseconds).
+ *   - untimedEntryCount {number}: Number of rows with registered hours but without stopwatch intervals.
+ *   - discrepancyMs {number}: Registered minus stopwatch time, summed over rows with stopwatch intervals (milliseconds).
+ *   - hasOpenStopwatch {boolean}: Whether the group has a running stopwatch interval.
+ *   - totalTime {number}: Total time for all intervals in the group (milliseconds).
+ *   - coveredTimeMs {number}: Time covered by at least one interval (milliseconds).
+ *   - startTime {(Date|null)}: Earliest start time among intervals started on the day.
+ *   - stopTime {(Date|null)}: Latest stop time among intervals started on the day.
+ *   - gaps {Array<Object>}: Regions between the first start and the last stop not covered by any interval.
+ *   - totalGapTimeMs {number}: Total gap time between intervals (milliseconds).
+ *   - overlaps {Array<Object>}: Regions covered by two or more intervals.
+ *   - overlappingPairs {Array<Object>}: Pairs of overlapping intervals, with `first`, `second`, `startTime` and `stopTime`.
+ *   - totalOverlapTimeMs {number}: Total overlap time between intervals (milliseconds).
+ */
+export function groupTableRows(pageRows, period = null, colors = {}) {
+    const groups = [];
+    const activities = new Set();
+    let currentGroup = null;
+
+    pageRows.forEach((row) => {
+        if (row.type === "day") {
+            // A day row starts a new group
+            currentGroup = {
+                headerRowElementId: row.id,
+                headerElement: row.element,
+                dayString: row.dayString,
+                date: parseDayString(row.dayString, period),
+                intervals: [],
+                entries: []
+            };
+            groups.push(currentGroup);
+        } else if (currentGroup) {
+            // Otherwise, this row belongs to the current group
+            const activity = row.activity;
+            if (activity) {
+                activities.add(activity);
+            }
+            const rowIntervals = row.intervalsText ? getIntervalsFromString(row.intervalsText, activity, currentGroup.date) : [];
+            const registeredHours = row.registeredHours;
+            if (rowIntervals.length === 0 && registeredHours === null) {
+                return;
+            }
+
+            const registeredTimeMs = Math.round((registeredHours || 0) * 60 * 60 * 1000);
+            const intervalTimeMs = getTotalDuration(rowIntervals);
+            const entry = {
+                rowElement: row.element,
+                activity,
+                registeredTimeMs,
+                intervalTimeMs,
+                discrepancyMs: rowIntervals.length > 0 ? registeredTimeMs - intervalTimeMs : 0,
+                untimed: rowIntervals.length === 0 && registeredTimeMs > 0
+            };
+            currentGroup.entries.push(entry);
+
+            // The entry is kept on the intervals, since the parts passing midnight end up in the next day's group
+            rowIntervals.forEach((rowInterval) => {
+                rowInterval.rowElement = row.element;
+                rowInterval.entry = entry;
+            });
+            currentGroup.intervals.push(...rowIntervals);
+        }
+    });
+
+    const activityColors = getActivityColors(Array.from(activities), colors.palette || "default", colors.overrides || {});
+
+    splitIntervalsAtMidnight(groups);
+
+    groups.forEach((group) => {
+        // Sort intervals by start time
+        group.intervals.sort((a, b) => a.startTime - b.startTime);
+
+        // Assign colors to intervals and entries based on activity
+        [...group.intervals, ...group.entries].forEach((item) => {
+            item.color = activityColors[item.activity] || "hsla(0, 0%, 0%, 0.5)"; // Default to semi-transparent black if no color found
+        });
+
+        // Calculate total time, covered time, start time, stop time, gaps and overlaps
+        group.totalTime = getGroupTotalTime(group);
+        group.coveredTimeMs = getGroupCoveredTime(group);
+        group.startTime = getGroupStartTime(group);
+        group.stopTime = getGroupStopTime(group);
+        group.gaps = getGroupGaps(group);
+        group.totalGapTimeMs = getGroupTotalGapTime(group);
+        group.overlaps = getOverlapRegions(group.intervals);
+        group.overlappingPairs = getOverlappingPairs(group.intervals);
+        group.totalOverlapTimeMs = getGroupTotalOverlapTime(group);
+
+        // Calculate registered hours and untimed hours
+        Object.assign(group, getGroupRegisteredTime(group));
+
+        group.hasOpenStopwatch = group.intervals.some((interval) => interval.running);
+    });
+
+    return groups;
+}
+
+/**
+ * Analyses a Tripletex page without changing it: reads the rows with the matching page adapter,
+ * groups them per day and runs the working-hours rules.
+ *
+ * @param {Document} document - The page document, e.g. a saved page parsed outside the browser.
+ * @param {Object} [options] - Analysis options.
+ * @param {string} [options.url] - The URL of the page. If not given, the adapter is chosen by which layout is recognised,
+ *   and a page no adapter recognises is diagnosed as an hour list.
+ * @param {Object} [options.settings] - The settings to use, missing values are taken from the defaults.
+ * @returns {{adapter: (Object|null), problems: Array<string>, period: ({start: Date, end: Date}|null), groups: Array<Object>, violations: Array<Object>}}
+ *   The adapter used, what was not recognised, the period shown, the groups from `groupTableRows` and the working-hours rule violations.
+ *   If the layout was not recognised, `problems` describes why and there are no groups.
+ */
+export function analyzeDocument(document, options = {}) {
+    const settings = normalizeSettings(options.settings || DEFAULT_SETTINGS);
+    const adapter = options.url ? findPageAdapter(options.url) : detectPageAdapter(document) || PAGE_ADAPTERS[0];
+    if (!adapter) {
+        return { adapter: null, problems: [getMessage("problemNoAdapter")], period: null, groups: [], violations: [] };
+    }
+
+    const problems = diagnosePageLayout(adapter, document);
+    if (problems.length > 0) {
+        return { adapter, problems, period: null, groups: [], violations: [] };
+    }
+
+    const period = readPagePeriod(adapter, document);
+    const groups = groupTableRows(adapter.readRows(document.querySelector(adapter.tableSelector)), period, { palette: settings.colorPalette });
+    return { adapter, problems, period, groups, violations: evaluateCompliance(groups, settings.complianceRules) };
+}
@@ -0,0 +1,180 @@
+import { toDateKey } from "./dates";
+import { formatDuration, setDurationFormat } from "./durations";
+import { getLoggedTime, saveSummaryToHistory } from "./history";
+import { getMessage, resolveLanguage, setLanguage } from "./i18n";
+import { getExpectedTimeForWeekday, loadSettings, onSettingsChanged } from "./settings";
+
+const HOUR_MS = 60 * 60 * 1000;
+const HOUR_LIST_URL = "https://tripletex.no/execute/updateHourlist";
+const REMINDER_ALARM = "endOfDayReminder";
+const BADGE_ALARM = "refreshBadge";
+
+/**
+ * Loads the latest period summary sent by the content script.
+ *
+ * @returns {Promise<(Object|null)>} A promise resolving to the summary, or null if no summary has been sent this session.
+ */
+async function loadLatestSummary() {
+    const { latestSummary } = await chrome.storage.session.get("latestSummary");
+    return latestSummary || null;
+}
+
+/**
+ * Uses the language and duration format of the settings for the badge title and the reminder.
+ * With the "auto" language, the language of the panel that sent the summary is used, falling back to the browser language.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {(Object|null)} summary - The latest period summary.
+ */
+function applySettings(settings, summary) {
+    setLanguage(resolveLanguage(settings.language, summary?.language, chrome.i18n.getUILanguage()));
+    setDurationFormat(settings.durationFormat);
+}
+
+/**
+ * Returns today's day from a period summary.
+ *
+ * @param {(Object|null)} summary - The period summary.
+ * @returns {(Object|null)} Today's day, or null if today is not in the summary.
+ */
+function getTodayFromSummary(summary) {
+    const todayKey = toDateKey(new Date());
+    return (summary && summary.days.find((day) => day.date === todayKey)) || null;
+}
+
+/**
+ * Updates the toolbar badge with today's logged hours or warning count, depending on the settings.
+ * The badge is red when today has warnings, and green when today's expected hours are reached.
+ */
+async function updateBadge() {
+    const [settings, summary] = await Promise.all([loadSettings(), loadLatestSummary()]);
+    applySettings(settings, summary);
+    const today = getTodayFromSummary(summary);
+    if (!today) {
+        await chrome.action.setBadgeText({ text: "" });
+        await chrome.action.setTitle({ title: getMessage("extensionName") });
+        return;
+    }
+
+    const loggedTime = getLoggedTime(today);
+    const warningCount = today.warnings.length;
+    let color = "#757c8a";
+    if (warningCount > 0) {
+        color = "#e63946";
+    } else if (loggedTime >= today.expectedTimeMs) {
+        color = "#2a9d60";
+    }
+
+    let text;
+    if (settings.badgeMode === "warnings") {
+        text = warningCount > 0 ? String(warningCount) : "";
+    } else {
+        text = String(Math.round((loggedTime / HOUR_MS) * 10) / 10);
+    }
+
+    await chrome.action.setBadgeBackgroundColor({ color });
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setTitle({ title: getMessage("badgeTitle", [formatDuration(loggedTime), warningCount]) });
+}
+
+/**
+ * Returns the next time the reminder should fire.
+ *
+ * @param {string} reminderTime - The time of day of the reminder, as "HH:MM".
+ * @param {Date} [now] - The current time.
+ * @returns {Date} Today at the reminder time if that is still ahead, otherwise tomorrow at the reminder time.
+ */
+function getNextReminderTime(reminderTime, now = new Date()) {
+    const [hours, minutes] = reminderTime.split(":").map(Number);
+    const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+    if (next <= now) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next;
+}
+
+/**
+ * Schedules the reminder alarm for its next occurrence, or removes it if reminders are disabled.
+ * The alarm is scheduled one occurrence at a time so that it follows daylight saving time changes.
+ */
+async function scheduleReminder() {
+    const settings = await loadSettings();
+    await chrome.alarms.clear(REMINDER_ALARM);
+    if (settings.reminderEnabled) {
+        await chrome.alarms.create(REMINDER_ALARM, { when: getNextReminderTime(settings.reminderTime).getTime() });
+    }
+}
+
+/**
+ * Shows a reminder notification if today is a working day and today's logged time is still below
+ * the expected hours, or the stopwatch is still running.
+ */
+async function remindIfNeeded() {
+    const [settings, summary] = await Promise.all([loadSettings(), loadLatestSummary()]);
+    applySettings(settings, summary);
+    const expectedTime = getExpectedTimeForWeekday(settings, new Date().getDay());
+    if (expectedTime === 0) return;
+
+    const today = getTodayFromSummary(summary);
+    const loggedTime = today ? getLoggedTime(today) : 0;
+    const reasons = [];
+    if (loggedTime < expectedTime) {
+        reasons.push(getMessage("reminderLogged", [formatDuration(loggedTime), formatDuration(expectedTime)]));
+    }
+    if (today && today.hasOpenStopwatch) {
+        reasons.push(getMessage("reminderRunning"));
+    }
+    if (reasons.length === 0) return;
+
+    await chrome.notifications.create(REMINDER_ALARM, {
+        type: "basic",
+        iconUrl: chrome.runtime.getURL("icon.png"),
+        title: getMessage("reminderTitle"),
+        message: reasons.join(" ")
+    });
+}
+
+/**
+ * Sets up the alarms and the badge when the extension is installed, updated or the browser starts.
+ */
+function initialize() {
+    scheduleReminder();
+    chrome.alarms.create(BADGE_ALARM, { periodInMinutes: 30 });
+    updateBadge();
+}
+
+chrome.runtime.onInstalled.addListener(initialize);
+chrome.runtime.onStartup.addListener(initialize);
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === "TABLE_LOADED") {
+        // Keep the latest summary in session storage, which outlives the service worker but not the browser session,
+        // and its days in the history in local storage, which outlives the browser session
+        Promise.all([
+            chrome.storage.session.set({
+                latestSummary: { ...message.summary, url: sender.tab.url }
+            }),
+            loadSettings().then((settings) => saveSummaryToHistory(message.summary, settings))
+        ]).then(updateBadge);
+    }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === REMINDER_ALARM) {
+        remindIfNeeded().finally(scheduleReminder);
+    } else if (alarm.name === BADGE_ALARM) {
+        updateBadge();
+    }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (notificationId === REMINDER_ALARM) {
+        chrome.tabs.create({ url: HOUR_LIST_URL });
+        chrome.notifications.clear(notificationId);
+    }
+});
+
+onSettingsChanged(() => {
+    scheduleReminder();
+    updateBadge();
+});
@@ -0,0 +1,52 @@
+import { getMessage } from "./i18n";
+import { getIntervalDuration } from "./intervals";
+
+/**
+ * Returns the time spent on the activities of a group: the registered hours of entries that have them,
+ * and otherwise the stopwatch time of the entries' intervals within the day. Intervals passing midnight are split
+ * between the days by `groupTableRows`, so their time is counted on the day it was spent, like in the day's total.
+ *
+ * @param {Object} group - The group from `groupTableRows`.
+ * @returns {Array<{activity: string, color: string, timeMs: number}>} The times, in the order of the entries and intervals.
+ */
+function getGroupActivityTimes(group) {
+    const registeredTimes = group.entries
+        .filter((entry) => entry.registeredTimeMs > 0)
+        .map((entry) => ({ activity: entry.activity, color: entry.color, timeMs: entry.registeredTimeMs }));
+    const stopwatchTimes = group.intervals
+        .filter((interval) => !(interval.entry && interval.entry.registeredTimeMs > 0))
+        .map((interval) => ({ activity: interval.activity, color: interval.color, timeMs: getIntervalDuration(interval) }));
+    return [...registeredTimes, ...stopwatchTimes];
+}
+
+/**
+ * Calculates the time spent per activity per day for the loaded period.
+ *
+ * @param {Array<Object>} groups - The groups from `groupTableRows`.
+ * @returns {{activities: Array<{activity: string, color: string, timesByGroup: number[], totalTimeMs: number, share: number}>, groupTotals: number[], totalTimeMs: number}}
+ *   One row per activity sorted by total time, with the time per group in the same order as `groups`,
+ *   the total time per group, and the total time for the period. `share` is the activity's share of the total, from 0 to 1.
+ */
+export function getActivityBreakdown(groups) {
+    const activitiesByName = new Map();
+    groups.forEach((group, groupIndex) => {
+        getGroupActivityTimes(group).forEach(({ activity: activityName, color, timeMs }) => {
+            const activity = activityName || getMessage("unknownActivity");
+            if (!activitiesByName.has(activity)) {
+                activitiesByName.set(activity, { activity, color, timesByGroup: groups.map(() => 0), totalTimeMs: 0, share: 0 });
+            }
+            const row = activitiesByName.get(activity);
+            row.timesByGroup[groupIndex] += timeMs;
+            row.totalTimeMs += timeMs;
+        });
+    });
+
+    const activities = Array.from(activitiesByName.values()).sort((a, b) => b.totalTimeMs - a.totalTimeMs);
+    const groupTotals = groups.map((_, groupIndex) => activities.reduce((total, row) => total + row.timesByGroup[groupIndex], 0));
+    const totalTimeMs = groupTotals.reduce((total, time) => total + time, 0);
+    activities.forEach((row) => {
+        row.share = totalTimeMs > 0 ? row.totalTimeMs / totalTimeMs : 0;
+    });
+
+    return { activities, groupTotals, totalTimeMs };
+}
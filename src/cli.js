@@ -0,0 +1,163 @@
+import { readFileSync, writeFileSync } from "fs";
+import { basename } from "path";
+import { parseArgs } from "util";
+import { JSDOM } from "jsdom";
+import { analyzeDocument } from "./analysis";
+import { formatClockTime, toDateKey } from "./dates";
+import { formatDuration } from "./durations";
+import { groupsToCsv, groupsToJson } from "./export";
+import { LANGUAGES, getMessage, resolveLanguage, setLanguage } from "./i18n";
+
+/**
+ * The language tags of the environment, in the order the C library looks them up, used when the language is "auto".
+ */
+const ENVIRONMENT_LANGUAGE_TAGS = [process.env.LC_ALL, process.env.LC_MESSAGES, process.env.LANG];
+
+const FORMATS = ["text", "json", "csv"];
+
+/**
+ * Reads and analyses a saved Tripletex page.
+ *
+ * @param {string} fileName - The path of the saved HTML file.
+ * @param {(string|undefined)} url - The URL the page was saved from, if known.
+ * @returns {Object} The result of `analyzeDocument`, with the file name, or with `problems` describing why the file could not be read.
+ */
+function analyzeFile(fileName, url) {
+    let html;
+    try {
+        html = readFileSync(fileName, "utf8");
+    } catch (error) {
+        return { fileName, adapter: null, problems: [getMessage("cliReadFailed", error.message)], period: null, groups: [], violations: [] };
+    }
+    const { document } = new JSDOM(html).window;
+    return { fileName, ...analyzeDocument(document, { url }) };
+}
+
+/**
+ * Formats the analysis of one file as an aligned text table with one row per day, followed by the day's rule violations.
+ *
+ * @param {Object} result - The analysis of the file from `analyzeFile`.
+ * @returns {string} The formatted text.
+ */
+function formatTextResult(result) {
+    const heading = [basename(result.fileName), result.adapter && result.adapter.label];
+    if (result.period) {
+        heading.push(`${toDateKey(result.period.start)}–${toDateKey(result.period.end)}`);
+    }
+    const lines = [heading.filter(Boolean).join(" – ")];
+    if (result.problems.length > 0) {
+        result.problems.forEach((problem) => lines.push(`  ${getMessage("cliNotRecognised", problem)}`));
+        return lines.join("\n");
+    }
+
+    const columns = [
+        [getMessage("columnDay"), 16, (group) => group.dayString],
+        [getMessage("columnStart"), 7, (group) => (group.startTime ? formatClockTime(group.startTime) : "")],
+        [getMessage("columnStop"), 7, (group) => (group.stopTime ? formatClockTime(group.stopTime) : "")],
+        [getMessage("columnTime"), 11, (group) => `${formatDuration(group.totalTime)}${group.hasOpenStopwatch ? " ▶" : ""}`],
+        [getMessage("columnRegistered"), 12, (group) => formatDuration(group.registeredTimeMs)],
+        [getMessage("columnPause"), 9, (group) => formatDuration(group.totalGapTimeMs)],
+        [getMessage("columnOverlap"), 9, (group) => formatDuration(group.totalOverlapTimeMs)]
+    ];
+    const formatRow = (values) => `  ${values.map((value, index) => value.padEnd(columns[index][1])).join("")}`.trimEnd();
+
+    lines.push(formatRow(columns.map(([label]) => label)));
+    result.groups.forEach((group) => {
+        lines.push(formatRow(columns.map(([, , getValue]) => getValue(group))));
+        result.violations
+            .filter((violation) => violation.group === group)
+            .forEach((violation) =>
+                lines.push(`    ${violation.rule.severity === "violation" ? "✖" : "⚠"} ${violation.rule.label}: ${violation.message}`)
+            );
+    });
+    if (result.groups.length === 0) {
+        lines.push(`  ${getMessage("cliNoEntries")}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Converts the analysis of one file to plain objects suitable for `JSON.stringify`.
+ *
+ * @param {Object} result - The analysis of the file from `analyzeFile`.
+ * @returns {Object} The file name, view, period, problems, days and rule violations.
+ */
+function resultToJson(result) {
+    return {
+        file: result.fileName,
+        view: result.adapter ? result.adapter.id : null,
+        period: result.period ? { start: toDateKey(result.period.start), end: toDateKey(result.period.end) } : null,
+        problems: result.problems,
+        days: groupsToJson(result.groups).days,
+        violations: result.violations.map((violation) => ({
+            rule: violation.rule.id,
+            severity: violation.rule.severity,
+            date: violation.group.date ? toDateKey(violation.group.date) : null,
+            message: violation.message
+        }))
+    };
+}
+
+/**
+ * Runs the command line interface with the given arguments.
+ *
+ * @param {Array<string>} args - The command line arguments, without the Node executable and script path.
+ * @returns {number} The exit code.
+ */
+function main(args) {
+    setLanguage(resolveLanguage("auto", ...ENVIRONMENT_LANGUAGE_TAGS));
+    let options;
+    try {
+        options = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                format: { type: "string", short: "f", default: "text" },
+                output: { type: "string", short: "o" },
+                url: { type: "string", short: "u" },
+                language: { type: "string", short: "l", default: "auto" },
+                strict: { type: "boolean", default: false },
+                help: { type: "boolean", short: "h", default: false }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${getMessage("cliUsage")}`);
+        return 2;
+    }
+
+    const { values, positionals } = options;
+    if (values.help) {
+        console.log(getMessage("cliUsage"));
+        return 0;
+    }
+    if (positionals.length === 0 || !FORMATS.includes(values.format) || !(values.language === "auto" || LANGUAGES.includes(values.language))) {
+        console.error(getMessage("cliUsage"));
+        return 2;
+    }
+    setLanguage(resolveLanguage(values.language, ...ENVIRONMENT_LANGUAGE_TAGS));
+
+    const results = positionals.map((fileName) => analyzeFile(fileName, values.url));
+
+    let output;
+    if (values.format === "json") {
+        output = JSON.stringify({ analyzedAt: new Date().toISOString(), files: results.map(resultToJson) }, null, 2) + "\n";
+    } else if (values.format === "csv") {
+        output = groupsToCsv(results.flatMap((result) => result.groups));
+    } else {
+        output = results.map(formatTextResult).join("\n\n") + "\n";
+    }
+
+    if (values.output) {
+        writeFileSync(values.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    // Files that could not be analysed are reported on standard error as well, so they are noticed in other formats
+    const failedResults = results.filter((result) => result.problems.length > 0);
+    failedResults.forEach((result) => console.error(`${result.fileName}: ${result.problems.join(" ")}`));
+    const hasViolations = results.some((result) => result.violations.some((violation) => violation.rule.severity === "violation"));
+    return failedResults.length > 0 || (values.strict && hasViolations) ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
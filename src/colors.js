@@ -0,0 +1,137 @@
+/**
+ * Colors are stored as 8-digit hex strings, "#rrggbbaa", so that they can be used directly as fill colors
+ * and the first seven characters can be passed to an `<input type="color">`.
+ */
+const COLOR_ALPHA = "80";
+
+/**
+ * Color-blind-safe palette by Okabe and Ito, without black.
+ */
+const COLOR_BLIND_SAFE_PALETTE = ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7"];
+
+/**
+ * Available palettes, used as values of the `colorPalette` setting.
+ */
+export const COLOR_PALETTES = Object.freeze(["default", "colorBlindSafe"]);
+
+/**
+ * Returns a 32-bit FNV-1a hash of a string.
+ *
+ * @param {string} text - The string to hash.
+ * @returns {number} The unsigned 32-bit hash.
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Converts an HSL color to a 6-digit hex string.
+ *
+ * @param {number} hue - The hue, 0 to 360.
+ * @param {number} saturation - The saturation, 0 to 100.
+ * @param {number} lightness - The lightness, 0 to 100.
+ * @returns {string} The color as "#rrggbb".
+ */
+function hslToHex(hue, saturation, lightness) {
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+        const k = (n + hue / 30) % 12;
+        const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255)
+            .toString(16)
+            .padStart(2, "0");
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+/**
+ * Returns the color of an activity, derived from a hash of its name so that it stays the same
+ * regardless of which other activities are loaded.
+ *
+ * @param {string} activity - The activity name.
+ * @param {string} [palette] - The palette to use, one of `COLOR_PALETTES`.
+ * @returns {string} The semi-transparent color as "#rrggbbaa".
+ */
+export function getDefaultActivityColor(activity, palette = "default") {
+    const hash = hashString(activity || "");
+    if (palette === "colorBlindSafe") {
+        return `${COLOR_BLIND_SAFE_PALETTE[hash % COLOR_BLIND_SAFE_PALETTE.length]}${COLOR_ALPHA}`;
+    }
+    // Use the remaining bits of the hash to vary saturation and lightness, making equal hues less likely to look the same
+    const hue = hash % 360;
+    const saturation = 55 + ((hash >>> 9) % 4) * 10;
+    const lightness = 40 + ((hash >>> 11) % 3) * 8;
+    return `${hslToHex(hue, saturation, lightness)}${COLOR_ALPHA}`;
+}
+
+/**
+ * Returns the color of each activity, using the user's override if there is one.
+ *
+ * @param {string[]} activities - Array of activity names to assign colors to.
+ * @param {string} palette - The palette to use, one of `COLOR_PALETTES`.
+ * @param {Object.<string, string>} overrides - Colors chosen by the user, keyed by activity name.
+ * @returns {Object.<string, string>} An object mapping each activity name to its color.
+ */
+export function getActivityColors(activities, palette, overrides) {
+    const colors = {};
+    activities.forEach((activity) => {
+        colors[activity] = overrides[activity] || getDefaultActivityColor(activity, palette);
+    });
+    return colors;
+}
+
+/**
+ * Converts a color picked in an `<input type="color">` to the stored, semi-transparent color format.
+ *
+ * @param {string} pickedColor - The picked color as "#rrggbb".
+ * @returns {string} The color as "#rrggbbaa".
+ */
+export function toActivityColor(pickedColor) {
+    return `${pickedColor.slice(0, 7).toLowerCase()}${COLOR_ALPHA}`;
+}
+
+/**
+ * Loads the activity colors chosen by the user from `chrome.storage.sync`.
+ *
+ * @returns {Promise<Object.<string, string>>} A promise resolving to the colors keyed by activity name.
+ */
+export async function loadActivityColorOverrides() {
+    const { activityColorOverrides } = await chrome.storage.sync.get("activityColorOverrides");
+    return activityColorOverrides || {};
+}
+
+/**
+ * Saves the color chosen by the user for an activity, or removes it if no color is given.
+ *
+ * @param {string} activity - The activity name.
+ * @param {(string|null)} color - The color as "#rrggbbaa", or null to go back to the default color.
+ * @returns {Promise<void>}
+ */
+export async function saveActivityColorOverride(activity, color) {
+    const activityColorOverrides = await loadActivityColorOverrides();
+    if (color) {
+        activityColorOverrides[activity] = color;
+    } else {
+        delete activityColorOverrides[activity];
+    }
+    await chrome.storage.sync.set({ activityColorOverrides });
+}
+
+/**
+ * Calls the given callback with all activity colors chosen by the user whenever they change.
+ *
+ * @param {function(Object.<string, string>): void} callback - Called with the colors keyed by activity name.
+ */
+export function onActivityColorOverridesChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== "sync" || !("activityColorOverrides" in changes)) return;
+        callback(changes.activityColorOverrides.newValue || {});
+    });
+}
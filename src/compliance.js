@@ -0,0 +1,198 @@
+import { formatClockTime, toIsoWeekKey } from "./dates";
+import { formatDuration } from "./durations";
+import { getMessage } from "./i18n";
+import { getIntervalUnion } from "./intervals";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Gaps shorter than this are not counted as a break when looking for continuous work.
+ */
+const MIN_BREAK_MS = 15 * MINUTE_MS;
+
+/**
+ * Working-hours rules based on the Norwegian Working Environment Act (arbeidsmiljøloven).
+ *
+ * Each rule has an `id` used to toggle it in the settings, a short `label` shown on the badge,
+ * a `description` shown as its tooltip, and a `severity` of either "warning" or "violation".
+ * The label and description are read in the current language each time they are used.
+ */
+export const COMPLIANCE_RULES = Object.freeze([
+    {
+        id: "dayOver9h",
+        get label() {
+            return getMessage("ruleDayOver9hLabel");
+        },
+        get description() {
+            return getMessage("ruleDayOver9hDescription");
+        },
+        severity: "warning"
+    },
+    {
+        id: "dayOver13h",
+        get label() {
+            return getMessage("ruleDayOver13hLabel");
+        },
+        get description() {
+            return getMessage("ruleDayOver13hDescription");
+        },
+        severity: "violation"
+    },
+    {
+        id: "missingBreak",
+        get label() {
+            return getMessage("ruleMissingBreakLabel");
+        },
+        get description() {
+            return getMessage("ruleMissingBreakDescription");
+        },
+        severity: "violation"
+    },
+    {
+        id: "shortRest",
+        get label() {
+            return getMessage("ruleShortRestLabel");
+        },
+        get description() {
+            return getMessage("ruleShortRestDescription");
+        },
+        severity: "violation"
+    },
+    {
+        id: "weekOver40h",
+        get label() {
+            return getMessage("ruleWeekOver40hLabel");
+        },
+        get description() {
+            return getMessage("ruleWeekOver40hDescription");
+        },
+        severity: "warning"
+    },
+    {
+        id: "weekOver48h",
+        get label() {
+            return getMessage("ruleWeekOver48hLabel");
+        },
+        get description() {
+            return getMessage("ruleWeekOver48hDescription");
+        },
+        severity: "violation"
+    }
+]);
+
+/**
+ * Returns the working time of a group: the time covered by stopwatch intervals plus the registered hours without intervals.
+ *
+ * @param {Object} group - The group object.
+ * @returns {number} The working time in milliseconds.
+ */
+function getGroupWorkingTime(group) {
+    return group.coveredTimeMs + (group.untimedTimeMs || 0);
+}
+
+/**
+ * Returns the stretches of continuous work in a group, where gaps shorter than the minimum break are ignored.
+ *
+ * @param {Object} group - The group object containing intervals.
+ * @returns {Array<{startTime: Date, stopTime: Date}>} The stretches of continuous work, sorted by start time.
+ */
+function getContinuousWorkStretches(group) {
+    const stretches = [];
+    getIntervalUnion(group.intervals).forEach((region) => {
+        const lastStretch = stretches[stretches.length - 1];
+        if (lastStretch && region.startTime - lastStretch.stopTime < MIN_BREAK_MS) {
+            lastStretch.stopTime = region.stopTime;
+        } else {
+            stretches.push({ ...region });
+        }
+    });
+    return stretches;
+}
+
+/**
+ * Returns the intervals with time in them, leaving out those that stop when or before they start.
+ *
+ * @param {Array<Object>} intervals - The intervals.
+ * @returns {Array<Object>} The intervals with a positive duration.
+ */
+function getWorkedIntervals(intervals) {
+    return intervals.filter((interval) => interval.stopTime > interval.startTime);
+}
+
+/**
+ * Runs the enabled working-hours rules over the groups.
+ *
+ * Day rules are reported on the day they apply to. The rest rule is reported on the day that started too early,
+ * and the week rules are reported on the last loaded day of the week.
+ *
+ * @param {Array<Object>} groups - The groups from `groupTableRows`.
+ * @param {Object.<string, boolean>} enabledRules - Whether each rule is enabled, keyed by rule ID. Rules missing from the object are enabled.
+ * @returns {Array<{rule: Object, group: Object, message: string}>} The violations found, in the order of the groups.
+ */
+export function evaluateCompliance(groups, enabledRules = {}) {
+    const isEnabled = (ruleId) => enabledRules[ruleId] !== false;
+    const rules = Object.fromEntries(COMPLIANCE_RULES.map((rule) => [rule.id, rule]));
+    const violations = [];
+
+    groups.forEach((group) => {
+        const workingTime = getGroupWorkingTime(group);
+        if (isEnabled("dayOver13h") && workingTime > 13 * HOUR_MS) {
+            violations.push({ rule: rules.dayOver13h, group, message: getMessage("complianceWorked", formatDuration(workingTime)) });
+        } else if (isEnabled("dayOver9h") && workingTime > 9 * HOUR_MS) {
+            violations.push({ rule: rules.dayOver9h, group, message: getMessage("complianceWorked", formatDuration(workingTime)) });
+        }
+
+        if (isEnabled("missingBreak")) {
+            getContinuousWorkStretches(group)
+                .filter((stretch) => stretch.stopTime - stretch.startTime > 5.5 * HOUR_MS)
+                .forEach((stretch) => {
+                    violations.push({
+                        rule: rules.missingBreak,
+                        group,
+                        message: getMessage("complianceNoBreak", [formatClockTime(stretch.startTime), formatClockTime(stretch.stopTime)])
+                    });
+                });
+        }
+
+        // The rest period ends at this day's first start and begins at the latest stop before it, regardless of table order.
+        // Work continued from the previous day is not a start, so the rest is measured from where it stopped.
+        // Zero-length intervals are no work, and would otherwise both end and start the rest at the same moment.
+        const restStartTimes = getWorkedIntervals(group.intervals)
+            .filter((interval) => !interval.continuedFromPreviousDay)
+            .map((interval) => +interval.startTime);
+        const firstStartTime = restStartTimes.length > 0 ? Math.min(...restStartTimes) : null;
+        const previousStopTimes = getWorkedIntervals(groups.flatMap((candidate) => candidate.intervals))
+            .filter((interval) => firstStartTime !== null && interval.stopTime <= firstStartTime)
+            .map((interval) => +interval.stopTime);
+        if (isEnabled("shortRest") && previousStopTimes.length > 0) {
+            const restTime = firstStartTime - Math.max(...previousStopTimes);
+            if (restTime < 11 * HOUR_MS) {
+                violations.push({ rule: rules.shortRest, group, message: getMessage("complianceRest", formatDuration(restTime)) });
+            }
+        }
+    });
+
+    const weeks = new Map();
+    groups
+        .filter((group) => group.date)
+        .forEach((group) => {
+            const weekKey = toIsoWeekKey(group.date);
+            const week = weeks.get(weekKey) || { workingTime: 0, lastGroup: group };
+            week.workingTime += getGroupWorkingTime(group);
+            if (group.date >= week.lastGroup.date) {
+                week.lastGroup = group;
+            }
+            weeks.set(weekKey, week);
+        });
+    weeks.forEach((week, weekKey) => {
+        const message = getMessage("complianceWeek", [formatDuration(week.workingTime), Number(weekKey.slice(-2))]);
+        if (isEnabled("weekOver48h") && week.workingTime > 48 * HOUR_MS) {
+            violations.push({ rule: rules.weekOver48h, group: week.lastGroup, message });
+        } else if (isEnabled("weekOver40h") && week.workingTime > 40 * HOUR_MS) {
+            violations.push({ rule: rules.weekOver40h, group: week.lastGroup, message });
+        }
+    });
+
+    return violations.sort((a, b) => groups.indexOf(a.group) - groups.indexOf(b.group));
+}
@@ -0,0 +1,233 @@
+/**
+ * Norwegian weekday names, indexed like `Date.prototype.getDay()`.
+ */
+export const NORWEGIAN_WEEKDAYS = ["søndag", "mandag", "tirsdag", "onsdag", "torsdag", "fredag", "lørdag"];
+
+/**
+ * Norwegian month names, indexed like `Date.prototype.getMonth()`.
+ */
+export const NORWEGIAN_MONTHS = ["januar", "februar", "mars", "april", "mai", "juni", "juli", "august", "september", "oktober", "november", "desember"];
+
+/**
+ * Month name prefixes that are not covered by the first three letters of the Norwegian month names,
+ * mapped to their month index. Covers the English month names used by Tripletex in English.
+ */
+const MONTH_PREFIX_ALIASES = { may: 4, oct: 9, dec: 11 };
+
+/**
+ * Matches a numeric date such as "13.10", "13.10.25" or "13.10.2025".
+ */
+const NUMERIC_DATE_REGEX = /(\d{1,2})\.(\d{1,2})(?:\.(\d{4}|\d{2}))?(?!\d)/;
+
+/**
+ * Matches a date with a month name such as "13. oktober", "13. okt. 2025" or "13 Oct 2025".
+ */
+const NAMED_DATE_REGEX = /(\d{1,2})\.?\s+([a-zæøå]{3,})\.?(?:\s+(\d{4}))?/i;
+
+/**
+ * Matches a period of two full numeric dates such as "13.10.2025 - 19.10.2025".
+ */
+const PERIOD_REGEX = /(\d{1,2}\.\d{1,2}\.\d{4})\s*[-–]\s*(\d{1,2}\.\d{1,2}\.\d{4})/;
+
+/**
+ * Returns the weekday of a weekday name, matching on the first three letters in Norwegian or English.
+ *
+ * @param {string} name - The weekday name, e.g. "Mandag", "man." or "Monday".
+ * @returns {(number|null)} The weekday, 0 (Sunday) to 6 (Saturday), or null if not recognised.
+ */
+export function getWeekdayFromName(name) {
+    const prefix = (name || "").trim().toLowerCase().slice(0, 3);
+    const norwegianIndex = NORWEGIAN_WEEKDAYS.findIndex((weekday) => weekday.startsWith(prefix));
+    if (prefix.length === 3 && norwegianIndex >= 0) {
+        return norwegianIndex;
+    }
+    const englishIndex = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"].indexOf(prefix);
+    return englishIndex >= 0 ? englishIndex : null;
+}
+
+/**
+ * Returns the month index of a month name, matching on the first three letters in Norwegian or English.
+ *
+ * @param {string} name - The month name, e.g. "oktober", "okt" or "October".
+ * @returns {(number|null)} The month index, 0 (January) to 11 (December), or null if not recognised.
+ */
+export function getMonthFromName(name) {
+    const prefix = (name || "").trim().toLowerCase().slice(0, 3);
+    if (prefix.length < 3) return null;
+    if (prefix in MONTH_PREFIX_ALIASES) {
+        return MONTH_PREFIX_ALIASES[prefix];
+    }
+    const index = NORWEGIAN_MONTHS.findIndex((month) => month.startsWith(prefix));
+    return index >= 0 ? index : null;
+}
+
+/**
+ * Parses a full numeric date in the format "DD.MM.YYYY".
+ *
+ * @param {string} dateString - The date string to parse.
+ * @returns {(Date|null)} The date at local midnight, or null if the string is not a valid date.
+ */
+export function parseNumericDate(dateString) {
+    const matches = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec((dateString || "").trim());
+    if (!matches) return null;
+    const [, day, month, year] = matches;
+    return createValidDate(Number(year), Number(month) - 1, Number(day));
+}
+
+/**
+ * Finds a period of two numeric dates, such as "13.10.2025 - 19.10.2025", in the given text.
+ *
+ * @param {string} text - The text to search.
+ * @returns {({start: Date, end: Date}|null)} The first and last day of the period, or null if no period was found.
+ */
+export function parsePeriodString(text) {
+    const matches = PERIOD_REGEX.exec(text || "");
+    if (!matches) return null;
+    const start = parseNumericDate(matches[1]);
+    const end = parseNumericDate(matches[2]);
+    if (!start || !end || end < start) return null;
+    return { start, end };
+}
+
+/**
+ * Parses a day string from a group header row, such as "Mandag 13.10", "man. 13. oktober" or "13.10.2025", into a date.
+ *
+ * If the day string has no year, the year is taken from the given period so that the date falls within it.
+ * Without a period, the current year is used.
+ *
+ * @param {string} dayString - The day string extracted from the header row.
+ * @param {({start: Date, end: Date}|null)} [period] - The period shown on the page, if known.
+ * @returns {(Date|null)} The date at local midnight, or null if the day string could not be parsed.
+ */
+export function parseDayString(dayString, period = null) {
+    const text = (dayString || "").trim();
+
+    let day, month, year;
+    const numericMatches = NUMERIC_DATE_REGEX.exec(text);
+    const namedMatches = NAMED_DATE_REGEX.exec(text);
+    if (numericMatches) {
+        day = Number(numericMatches[1]);
+        month = Number(numericMatches[2]) - 1;
+        year = numericMatches[3] ? Number(numericMatches[3]) : null;
+        if (year !== null && year < 100) {
+            year += 2000;
+        }
+    } else if (namedMatches && getMonthFromName(namedMatches[2]) !== null) {
+        day = Number(namedMatches[1]);
+        month = getMonthFromName(namedMatches[2]);
+        year = namedMatches[3] ? Number(namedMatches[3]) : null;
+    } else {
+        return null;
+    }
+
+    if (year === null) {
+        year = resolveYear(month, day, period);
+    }
+    return createValidDate(year, month, day);
+}
+
+/**
+ * Returns the year a date without a year most likely belongs to, given the period shown on the page.
+ *
+ * @param {number} month - The month index, 0 to 11.
+ * @param {number} day - The day of the month.
+ * @param {({start: Date, end: Date}|null)} period - The period shown on the page, if known.
+ * @returns {number} The resolved year.
+ */
+function resolveYear(month, day, period) {
+    if (!period) {
+        return new Date().getFullYear();
+    }
+    const candidateYears = [period.start.getFullYear(), period.end.getFullYear()];
+    const matchingYear = candidateYears.find((year) => {
+        const date = new Date(year, month, day);
+        return date >= period.start && date <= period.end;
+    });
+    return matchingYear ?? period.start.getFullYear();
+}
+
+/**
+ * Creates a date at local midnight, rejecting overflowing values such as 31.02.
+ *
+ * @param {number} year - The full year.
+ * @param {number} month - The month index, 0 to 11.
+ * @param {number} day - The day of the month.
+ * @returns {(Date|null)} The date, or null if the values do not form a valid date.
+ */
+function createValidDate(year, month, day) {
+    const date = new Date(year, month, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Returns a date key in the format "YYYY-MM-DD" for the given date, using local time.
+ *
+ * @param {Date} date - The date.
+ * @returns {string} The date key.
+ */
+export function toDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parses a date key in the format "YYYY-MM-DD" into a date at local midnight.
+ *
+ * @param {string} dateKey - The date key.
+ * @returns {(Date|null)} The date, or null if the key is not a valid date.
+ */
+export function parseDateKey(dateKey) {
+    const matches = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || "");
+    if (!matches) return null;
+    return createValidDate(Number(matches[1]), Number(matches[2]) - 1, Number(matches[3]));
+}
+
+/**
+ * Formats a date with Norwegian weekday and month names, e.g. "mandag 13. oktober 2025".
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+export function formatNorwegianDate(date) {
+    return `${NORWEGIAN_WEEKDAYS[date.getDay()]} ${date.getDate()}. ${NORWEGIAN_MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+}
+
+/**
+ * Formats the time of day of a date as "HH:MM", using local time.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted time of day.
+ */
+export function formatClockTime(date) {
+    return `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+}
+
+/**
+ * Returns the ISO 8601 week of a date as a key such as "2025-W42". Weeks start on Monday,
+ * and the first week of a year is the one containing its first Thursday.
+ *
+ * @param {Date} date - The date.
+ * @returns {string} The ISO week key.
+ */
+export function toIsoWeekKey(date) {
+    // The Thursday of the same week decides which year the week belongs to
+    const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7)));
+    const dayOfYear = (thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / (24 * 60 * 60 * 1000);
+    const week = Math.floor(dayOfYear / 7) + 1;
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Formats a date as a short Norwegian day label, e.g. "man. 13.10".
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted day label.
+ */
+export function formatShortNorwegianDate(date) {
+    return `${NORWEGIAN_WEEKDAYS[date.getDay()].slice(0, 3)}. ${date.getDate()}.${date.getMonth() + 1}`;
+}
@@ -0,0 +1,78 @@
+import { getLocaleTag, getMessage } from "./i18n";
+
+/**
+ * How durations can be formatted, used as values of the `durationFormat` setting:
+ * hours and minutes ("7t 30m"), a clock ("7:30") or decimal hours ("7,5").
+ */
+export const DURATION_FORMATS = Object.freeze(["hoursMinutes", "clock", "decimal"]);
+
+/**
+ * The format used by `formatDuration` when none is given.
+ */
+let currentDurationFormat = DURATION_FORMATS[0];
+
+/**
+ * Sets the format used by `formatDuration` when none is given.
+ *
+ * @param {string} durationFormat - One of `DURATION_FORMATS`. Unsupported values are ignored.
+ */
+export function setDurationFormat(durationFormat) {
+    if (DURATION_FORMATS.includes(durationFormat)) {
+        currentDurationFormat = durationFormat;
+    }
+}
+
+/**
+ * Converts milliseconds to whole hours.
+ *
+ * @param {number} ms - The time duration in milliseconds.
+ * @returns {number} The number of whole hours contained in the given milliseconds.
+ */
+export function getHoursFromMilliseconds(ms) {
+    return Math.floor(ms / (1000 * 60 * 60));
+}
+
+/**
+ * Returns the number of minutes (0-59) from a given duration in milliseconds,
+ * ignoring full hours.
+ *
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {number} The number of minutes extracted from the milliseconds.
+ */
+export function getMinutesFromMilliseconds(ms) {
+    return Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+}
+
+/**
+ * Formats a duration in milliseconds as hours and minutes, e.g. "7t 30m", as a clock, e.g. "7:30",
+ * or as decimal hours, e.g. "7,5", with the unit letters and decimal separator of the current language.
+ * Negative durations are prefixed with a minus sign.
+ *
+ * @param {number} ms - The duration in milliseconds.
+ * @param {string} [durationFormat] - One of `DURATION_FORMATS`. Defaults to the format set with `setDurationFormat`.
+ * @returns {string} The formatted duration.
+ */
+export function formatDuration(ms, durationFormat = currentDurationFormat) {
+    const sign = ms < 0 ? "-" : "";
+    const absoluteMs = Math.abs(ms);
+    const hours = getHoursFromMilliseconds(absoluteMs);
+    const minutes = getMinutesFromMilliseconds(absoluteMs);
+    if (durationFormat === "clock") {
+        return `${sign}${hours}:${String(minutes).padStart(2, "0")}`;
+    }
+    if (durationFormat === "decimal") {
+        const decimalHours = (hours * 60 + minutes) / 60;
+        return `${sign}${decimalHours.toLocaleString(getLocaleTag(), { maximumFractionDigits: 2 })}`;
+    }
+    return `${sign}${getMessage("durationHoursMinutes", [hours, minutes])}`;
+}
+
+/**
+ * Formats a difference in milliseconds like `formatDuration`, but with a plus sign when it is positive, e.g. "+0t 30m".
+ *
+ * @param {number} ms - The difference in milliseconds.
+ * @returns {string} The formatted difference.
+ */
+export function formatSignedDuration(ms) {
+    return `${ms > 0 ? "+" : ""}${formatDuration(ms)}`;
+}
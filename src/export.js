@@ -0,0 +1,256 @@
+import { hashString } from "./colors";
+import { formatClockTime, toDateKey } from "./dates";
+import { getMessage } from "./i18n";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Returns the date key of a group, falling back to the date of its first interval.
+ *
+ * @param {Object} group - The group object.
+ * @returns {(string|null)} The date key in the format "YYYY-MM-DD", or null if the group has no known date.
+ */
+function getGroupDateKey(group) {
+    const date = group.date || group.startTime;
+    return date ? toDateKey(date) : null;
+}
+
+/**
+ * Formats a duration in milliseconds as decimal hours with a decimal comma, e.g. "7,50".
+ *
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted number of hours.
+ */
+function formatDecimalHours(ms) {
+    return (ms / HOUR_MS).toFixed(2).replace(".", ",");
+}
+
+/**
+ * Quotes a CSV field if it contains the separator, quotes or line breaks.
+ *
+ * @param {(string|number|null)} value - The field value.
+ * @returns {string} The escaped field.
+ */
+function escapeCsvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Returns a file name for an export of the given groups, containing the first and last date of the period.
+ *
+ * @param {Array<Object>} groups - The groups to export.
+ * @param {string} extension - The file extension, without the leading dot.
+ * @returns {string} The file name.
+ */
+export function getExportFileName(groups, extension) {
+    const dateKeys = groups.map(getGroupDateKey).filter(Boolean).sort();
+    const period = dateKeys.length > 0 ? `${dateKeys[0]}_${dateKeys[dateKeys.length - 1]}` : "periode";
+    return `gaps-n-laps-${period}.${extension}`;
+}
+
+/**
+ * Converts the groups to a CSV document separated by semicolons, with one row per interval
+ * followed by one summary row per day. Durations are given in decimal hours.
+ *
+ * @param {Array<Object>} groups - The groups from `groupTableRows`.
+ * @returns {string} The CSV document.
+ */
+export function groupsToCsv(groups) {
+    const lines = [["csvDate", "breakdownActivity", "columnStart", "columnStop", "csvHours"].map((key) => getMessage(key)).join(";")];
+    groups.forEach((group) => {
+        group.intervals.forEach((interval) => {
+            lines.push(
+                [
+                    getGroupDateKey(group),
+                    interval.activity,
+                    formatClockTime(interval.startTime),
+                    formatClockTime(interval.stopTime),
+                    formatDecimalHours(interval.stopTime - interval.startTime)
+                ]
+                    .map(escapeCsvField)
+                    .join(";")
+            );
+        });
+    });
+
+    lines.push("");
+    lines.push(
+        ["csvDate", "columnDay", "csvFirstStart", "csvLastStop", "columnTime", "columnRegistered", "csvUntimed", "columnPause", "columnOverlap"]
+            .map((key) => getMessage(key))
+            .join(";")
+    );
+    groups.forEach((group) => {
+        lines.push(
+            [
+                getGroupDateKey(group),
+                group.dayString,
+                group.startTime ? formatClockTime(group.startTime) : "",
+                group.stopTime ? formatClockTime(group.stopTime) : "",
+                formatDecimalHours(group.totalTime),
+                formatDecimalHours(group.registeredTimeMs),
+                formatDecimalHours(group.untimedTimeMs),
+                formatDecimalHours(group.totalGapTimeMs),
+                formatDecimalHours(group.totalOverlapTimeMs)
+            ]
+                .map(escapeCsvField)
+                .join(";")
+        );
+    });
+    return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Converts a region with `startTime` and `stopTime` to a plain object with ISO timestamps and a duration.
+ *
+ * @param {{startTime: Date, stopTime: Date}} region - The region to convert.
+ * @returns {{startTime: string, stopTime: string, durationMs: number}} The plain object.
+ */
+function regionToJson(region) {
+    return {
+        startTime: region.startTime.toISOString(),
+        stopTime: region.stopTime.toISOString(),
+        durationMs: region.stopTime - region.startTime
+    };
+}
+
+/**
+ * Converts the groups to plain objects suitable for `JSON.stringify`, without references to DOM elements.
+ *
+ * @param {Array<Object>} groups - The groups from `groupTableRows`.
+ * @returns {Object} The structured export with one entry per day.
+ */
+export function groupsToJson(groups) {
+    return {
+        exportedAt: new Date().toISOString(),
+        days: groups.map((group) => ({
+            date: getGroupDateKey(group),
+            dayString: group.dayString,
+            startTime: group.startTime ? group.startTime.toISOString() : null,
+            stopTime: group.stopTime ? group.stopTime.toISOString() : null,
+            totalTimeMs: group.totalTime,
+            coveredTimeMs: group.coveredTimeMs,
+            registeredTimeMs: group.registeredTimeMs,
+            untimedTimeMs: group.untimedTimeMs,
+            discrepancyMs: group.discrepancyMs,
+            totalGapTimeMs: group.totalGapTimeMs,
+            totalOverlapTimeMs: group.totalOverlapTimeMs,
+            hasOpenStopwatch: Boolean(group.hasOpenStopwatch),
+            intervals: group.intervals.map((interval) => ({
+                activity: interval.activity,
+                ...regionToJson(interval),
+                running: Boolean(interval.running)
+            })),
+            entries: group.entries.map((entry) => ({
+                activity: entry.activity,
+                registeredTimeMs: entry.registeredTimeMs,
+                intervalTimeMs: entry.intervalTimeMs,
+                discrepancyMs: entry.discrepancyMs,
+                untimed: entry.untimed
+            })),
+            gaps: group.gaps.map(regionToJson),
+            overlaps: group.overlaps.map(regionToJson)
+        }))
+    };
+}
+
+/**
+ * Formats a date as an iCalendar UTC date-time, e.g. "20251013T070000Z".
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date-time.
+ */
+function formatICalendarDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Escapes a text value for use in an iCalendar property.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeICalendarText(text) {
+    return (text || "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds an iCalendar content line so that no line is longer than 75 octets, as required by RFC 5545.
+ *
+ * @param {string} line - The content line to fold.
+ * @returns {string} The folded content line.
+ */
+function foldICalendarLine(line) {
+    const encoder = new TextEncoder();
+    let folded = "";
+    let lineLength = 0;
+    for (const character of line) {
+        const characterLength = encoder.encode(character).length;
+        if (lineLength + characterLength > 75) {
+            folded += "\r\n ";
+            lineLength = 1;
+        }
+        folded += character;
+        lineLength += characterLength;
+    }
+    return folded;
+}
+
+/**
+ * Returns the UID of an interval's event, made from its start time and activity so that exporting the same
+ * interval again updates the imported event instead of adding a copy, also when other intervals were added or removed.
+ * The stop time is left out, since it changes while the stopwatch runs.
+ *
+ * @param {Object} interval - The interval.
+ * @returns {string} The UID.
+ */
+function getICalendarUid(interval) {
+    const activityHash = hashString(interval.activity || "")
+        .toString(16)
+        .padStart(8, "0");
+    return `${formatICalendarDateTime(interval.startTime)}-${activityHash}@gaps-n-laps`;
+}
+
+/**
+ * Converts the groups to an iCalendar document with one VEVENT per interval.
+ *
+ * @param {Array<Object>} groups - The groups from `groupTableRows`.
+ * @returns {string} The iCalendar document.
+ */
+export function groupsToICalendar(groups) {
+    const timestamp = formatICalendarDateTime(new Date());
+    const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Gaps N' Laps//Tripletex//NO", "CALSCALE:GREGORIAN"];
+    groups.forEach((group) => {
+        group.intervals.forEach((interval) => {
+            lines.push(
+                "BEGIN:VEVENT",
+                `UID:${getICalendarUid(interval)}`,
+                `DTSTAMP:${timestamp}`,
+                `DTSTART:${formatICalendarDateTime(interval.startTime)}`,
+                `DTEND:${formatICalendarDateTime(interval.stopTime)}`,
+                `SUMMARY:${escapeICalendarText(interval.activity || getMessage("unknownActivity"))}`,
+                "END:VEVENT"
+            );
+        });
+    });
+    lines.push("END:VCALENDAR");
+    return lines.map(foldICalendarLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Lets the browser download the given content as a file.
+ *
+ * @param {string} fileName - The name of the downloaded file.
+ * @param {string} content - The file content.
+ * @param {string} mimeType - The MIME type of the file.
+ */
+export function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,153 @@
+import { formatShortWeekday, getMessage } from "./i18n";
+import { getIntervalUnion } from "./intervals";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * The weekdays in the order shown, Monday first, as numbers from `Date.getDay()`.
+ */
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Adds the time of each region to the hours of the day it falls within, using local time.
+ *
+ * @param {Array<Object>} hours - The 24 hours of a weekday from `getWeekdayHourHeatmap`.
+ * @param {Array<{startTime: Date, stopTime: Date}>} regions - The regions to add.
+ * @param {string} key - The property of the hour to add the time to.
+ */
+function addRegionsToHours(hours, regions, key) {
+    regions.forEach((region) => {
+        let time = +region.startTime;
+        while (time < +region.stopTime) {
+            const hourStart = new Date(time);
+            hourStart.setMinutes(0, 0, 0);
+            const nextHour = new Date(hourStart);
+            nextHour.setHours(hourStart.getHours() + 1);
+            const stop = Math.min(+nextHour, +region.stopTime);
+            hours[hourStart.getHours()][key] += stop - time;
+            time = stop;
+        }
+    });
+}
+
+/**
+ * Calculates how much of each hour of each weekday is covered by stopwatch intervals and by overlaps, over the loaded period.
+ * Groups without a date are left out, since their weekday is unknown.
+ *
+ * @param {Array<Object>} groups - The groups from `groupTableRows`.
+ * @returns {Array<{weekday: number, dayCount: number, hours: Array<{registeredMs: number, overlapMs: number, share: number, overlapShare: number}>}>}
+ *   One row per weekday, Monday first, with the number of days of that weekday in the period and one entry per hour of the day.
+ *   `share` and `overlapShare` are the registered and overlapping time as a fraction of the hour on all days of the weekday, from 0 to 1.
+ */
+export function getWeekdayHourHeatmap(groups) {
+    const rows = WEEKDAYS.map((weekday) => ({
+        weekday,
+        dayCount: 0,
+        hours: Array.from({ length: 24 }, () => ({ registeredMs: 0, overlapMs: 0, share: 0, overlapShare: 0 }))
+    }));
+
+    groups
+        .filter((group) => group.date)
+        .forEach((group) => {
+            const row = rows.find((candidate) => candidate.weekday === group.date.getDay());
+            row.dayCount += 1;
+            // Time covered by several intervals counts once, so that a share never exceeds the whole hour
+            addRegionsToHours(row.hours, getIntervalUnion(group.intervals), "registeredMs");
+            addRegionsToHours(row.hours, group.overlaps, "overlapMs");
+        });
+
+    rows.forEach((row) => {
+        row.hours.forEach((hour) => {
+            hour.share = row.dayCount > 0 ? hour.registeredMs / (row.dayCount * HOUR_MS) : 0;
+            hour.overlapShare = row.dayCount > 0 ? hour.overlapMs / (row.dayCount * HOUR_MS) : 0;
+        });
+    });
+    return rows;
+}
+
+/**
+ * Formats a fraction as a whole percentage, e.g. "80 %".
+ *
+ * @param {number} fraction - The fraction, from 0 to 1.
+ * @returns {string} The formatted percentage.
+ */
+function formatPercent(fraction) {
+    return `${Math.round(fraction * 100)} %`;
+}
+
+/**
+ * Renders the heatmap as a table with one row per weekday in the period and one column per hour with registered time.
+ * Each cell is shaded by how much of the hour was registered, and outlined if the hour had overlaps.
+ * The figures of each cell are given as tooltip and as text for screen readers, and a legend explains the shading.
+ *
+ * @param {Array<Object>} heatmap - The heatmap from `getWeekdayHourHeatmap`.
+ * @returns {HTMLElement} The rendered table with its legend, or a paragraph saying that there is nothing to show.
+ */
+export function renderHeatmap(heatmap) {
+    const rows = heatmap.filter((row) => row.dayCount > 0);
+    const registeredHours = rows
+        .flatMap((row) => row.hours.map((hour, index) => (hour.registeredMs > 0 ? index : null)))
+        .filter((index) => index !== null);
+    if (registeredHours.length === 0) {
+        const emptyElement = document.createElement("p");
+        emptyElement.className = "heatmap-empty";
+        emptyElement.textContent = getMessage("heatmapEmpty");
+        return emptyElement;
+    }
+    const firstHour = Math.min(...registeredHours);
+    const lastHour = Math.max(...registeredHours);
+    const formatHour = (hour) => String(hour).padStart(2, "0");
+
+    const table = document.createElement("table");
+    table.className = "heatmap";
+    table.createCaption().textContent = getMessage("heatmapCaption");
+
+    const headerRow = table.createTHead().insertRow();
+    headerRow.appendChild(document.createElement("th"));
+    for (let hour = firstHour; hour <= lastHour; hour++) {
+        const headerCell = document.createElement("th");
+        headerCell.scope = "col";
+        headerCell.textContent = formatHour(hour);
+        headerRow.appendChild(headerCell);
+    }
+
+    const tableBody = table.createTBody();
+    rows.forEach((row) => {
+        const tableRow = tableBody.insertRow();
+        const weekdayName = formatShortWeekday(row.weekday);
+        const headerCell = document.createElement("th");
+        headerCell.scope = "row";
+        headerCell.textContent = weekdayName;
+        headerCell.title = getMessage("heatmapDays", row.dayCount);
+        tableRow.appendChild(headerCell);
+
+        for (let hour = firstHour; hour <= lastHour; hour++) {
+            const { share, overlapShare } = row.hours[hour];
+            const cell = tableRow.insertCell();
+            cell.className = overlapShare > 0 ? "heatmap-cell overlap" : "heatmap-cell";
+
+            const fillElement = document.createElement("div");
+            fillElement.className = "heatmap-fill";
+            fillElement.style.opacity = String(share);
+            cell.appendChild(fillElement);
+
+            const texts = [getMessage("heatmapCell", [weekdayName, `${formatHour(hour)}–${formatHour(hour + 1)}`, formatPercent(share)])];
+            if (overlapShare > 0) {
+                texts.push(getMessage("heatmapOverlap", formatPercent(overlapShare)));
+            }
+            cell.title = texts.join(", ");
+            const textElement = document.createElement("span");
+            textElement.className = "visually-hidden";
+            textElement.textContent = cell.title;
+            cell.appendChild(textElement);
+        }
+    });
+
+    const legendElement = document.createElement("p");
+    legendElement.className = "heatmap-legend";
+    legendElement.textContent = getMessage("heatmapLegend");
+
+    const heatmapElement = document.createElement("div");
+    heatmapElement.append(table, legendElement);
+    return heatmapElement;
+}
@@ -0,0 +1,252 @@
+import { parseDateKey, toDateKey, toIsoWeekKey } from "./dates";
+import { getExpectedTimeForWeekday } from "./settings";
+
+/**
+ * Identifies history files exported by the extension, so that other JSON files are not imported by mistake.
+ */
+const HISTORY_FILE_FORMAT = "gaps-n-laps-history";
+const HISTORY_FILE_VERSION = 1;
+
+/**
+ * The numeric properties stored for each day.
+ */
+const HISTORY_DAY_PROPERTIES = ["loggedTimeMs", "registeredTimeMs", "totalTimeMs", "expectedTimeMs", "totalGapTimeMs", "totalOverlapTimeMs"];
+
+/**
+ * @typedef {Object} HistoryDay
+ * @property {string} date - The date key, "YYYY-MM-DD".
+ * @property {number} loggedTimeMs - The time logged on the day, from `getLoggedTime`.
+ * @property {number} registeredTimeMs - The registered hours in milliseconds.
+ * @property {number} totalTimeMs - The stopwatch time in milliseconds, without running stopwatches.
+ * @property {number} expectedTimeMs - The expected working time of the day when it was last viewed.
+ * @property {number} totalGapTimeMs - The total pause between intervals.
+ * @property {number} totalOverlapTimeMs - The total time where intervals overlap.
+ * @property {string} updatedAt - When the day was last viewed, as an ISO timestamp.
+ */
+
+/**
+ * Returns the time logged on a day: the registered hours, or the stopwatch time if that is higher.
+ *
+ * @param {{registeredTimeMs: number, totalTimeMs: number}} day - The day from a summary or the history.
+ * @returns {number} The logged time in milliseconds.
+ */
+export function getLoggedTime(day) {
+    return Math.max(day.registeredTimeMs, day.totalTimeMs);
+}
+
+/**
+ * Converts a day from the period summary to the smaller object kept in the history.
+ *
+ * A running stopwatch is left out of the stopwatch time, since it is not finished: one forgotten on an earlier day keeps growing,
+ * which would otherwise stay in the history as time worked. Its time is counted once the stopwatch is stopped and the day viewed again.
+ *
+ * @param {Object} day - The day from the summary sent by the content script.
+ * @param {string} updatedAt - When the summary was made, as an ISO timestamp.
+ * @returns {HistoryDay} The history day.
+ */
+function toHistoryDay(day, updatedAt) {
+    const runningTimeMs = day.intervals.filter((interval) => interval.running).reduce((total, interval) => total + interval.durationMs, 0);
+    const totalTimeMs = day.totalTimeMs - runningTimeMs;
+    return {
+        date: day.date,
+        loggedTimeMs: getLoggedTime({ registeredTimeMs: day.registeredTimeMs, totalTimeMs }),
+        registeredTimeMs: day.registeredTimeMs,
+        totalTimeMs,
+        expectedTimeMs: day.expectedTimeMs,
+        totalGapTimeMs: day.totalGapTimeMs,
+        totalOverlapTimeMs: day.totalOverlapTimeMs,
+        updatedAt
+    };
+}
+
+/**
+ * Checks that an object read from storage or an imported file is a complete history day.
+ *
+ * @param {*} day - The value to check.
+ * @returns {boolean} Whether the value is a valid history day.
+ */
+function isHistoryDay(day) {
+    return (
+        Boolean(day) &&
+        typeof day.date === "string" &&
+        parseDateKey(day.date) !== null &&
+        HISTORY_DAY_PROPERTIES.every((property) => Number.isFinite(day[property])) &&
+        typeof day.updatedAt === "string"
+    );
+}
+
+/**
+ * Loads the history of viewed days from `chrome.storage.local`.
+ *
+ * @returns {Promise<Object.<string, HistoryDay>>} A promise resolving to the history days keyed by date key.
+ */
+export async function loadHistory() {
+    const { history } = await chrome.storage.local.get("history");
+    return history || {};
+}
+
+/**
+ * Returns the history day of a day without entries, with nothing logged against the expected working time.
+ *
+ * @param {string} dateKey - The date key of the day.
+ * @param {number} expectedTimeMs - The expected working time of the day.
+ * @param {string} updatedAt - When the summary was made, as an ISO timestamp.
+ * @returns {HistoryDay} The history day.
+ */
+function toEmptyHistoryDay(dateKey, expectedTimeMs, updatedAt) {
+    return {
+        date: dateKey,
+        loggedTimeMs: 0,
+        registeredTimeMs: 0,
+        totalTimeMs: 0,
+        expectedTimeMs,
+        totalGapTimeMs: 0,
+        totalOverlapTimeMs: 0,
+        updatedAt
+    };
+}
+
+/**
+ * Saves the days of a period summary to the history, replacing what was stored for the same dates.
+ *
+ * Tripletex only lists days with entries. Past days within the period that are not listed are stored with
+ * nothing logged if work was expected on them, so that they count against the flex balance, and other stored days
+ * within the period are removed, since all their entries have been removed.
+ *
+ * @param {Object} summary - The summary sent by the content script, with `days`, `updatedAt` and optionally `period`.
+ * @param {Object} settings - The settings, for the expected working time of days without entries.
+ * @returns {Promise<void>}
+ */
+export async function saveSummaryToHistory(summary, settings) {
+    const history = await loadHistory();
+    if (summary.period) {
+        Object.keys(history)
+            .filter((dateKey) => dateKey >= summary.period.start && dateKey <= summary.period.end)
+            .forEach((dateKey) => delete history[dateKey]);
+    }
+    summary.days
+        .filter((day) => day.date)
+        .forEach((day) => {
+            history[day.date] = toHistoryDay(day, summary.updatedAt);
+        });
+    if (summary.period) {
+        // Today is left out, since entries may still be added
+        const todayKey = toDateKey(new Date(summary.updatedAt));
+        const date = parseDateKey(summary.period.start);
+        for (let dateKey = toDateKey(date); dateKey <= summary.period.end && dateKey < todayKey; dateKey = toDateKey(date)) {
+            const expectedTimeMs = getExpectedTimeForWeekday(settings, date.getDay());
+            if (!history[dateKey] && expectedTimeMs > 0) {
+                history[dateKey] = toEmptyHistoryDay(dateKey, expectedTimeMs, summary.updatedAt);
+            }
+            date.setDate(date.getDate() + 1);
+        }
+    }
+    await chrome.storage.local.set({ history });
+}
+
+/**
+ * Calculates the flex balance, the logged time minus the expected time, over all days in the history before the given day.
+ * The given day itself is left out, since it is normally not finished yet.
+ *
+ * @param {Object.<string, HistoryDay>} history - The history days keyed by date key.
+ * @param {Date} [today] - The day to calculate the balance up to.
+ * @returns {{balanceMs: number, dayCount: number, firstDate: (string|null)}} The balance, how many days it is based on and the first of them.
+ */
+export function getFlexBalance(history, today = new Date()) {
+    const todayKey = toDateKey(today);
+    const days = Object.values(history)
+        .filter((day) => day.date < todayKey)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    return {
+        balanceMs: days.reduce((balance, day) => balance + day.loggedTimeMs - day.expectedTimeMs, 0),
+        dayCount: days.length,
+        firstDate: days.length > 0 ? days[0].date : null
+    };
+}
+
+/**
+ * Summarizes the history per ISO week for the given number of weeks, up to and including the week of the given day.
+ *
+ * @param {Object.<string, HistoryDay>} history - The history days keyed by date key.
+ * @param {number} weekCount - The number of weeks to include.
+ * @param {Date} [today] - A day in the last week to include.
+ * @returns {Array<{weekKey: string, dayCount: number, loggedTimeMs: number, expectedTimeMs: number, averageGapTimeMs: number, overlapDayCount: number}>}
+ *   One summary per week, oldest first. Weeks without history have a `dayCount` of 0.
+ */
+export function getWeeklyTrend(history, weekCount, today = new Date()) {
+    const daysByWeek = new Map();
+    Object.values(history).forEach((day) => {
+        const weekKey = toIsoWeekKey(parseDateKey(day.date));
+        daysByWeek.set(weekKey, [...(daysByWeek.get(weekKey) || []), day]);
+    });
+
+    const weeks = [];
+    for (let weeksAgo = weekCount - 1; weeksAgo >= 0; weeksAgo--) {
+        const weekKey = toIsoWeekKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 7 * weeksAgo));
+        const days = daysByWeek.get(weekKey) || [];
+        const sum = (property) => days.reduce((total, day) => total + day[property], 0);
+        weeks.push({
+            weekKey,
+            dayCount: days.length,
+            loggedTimeMs: sum("loggedTimeMs"),
+            expectedTimeMs: sum("expectedTimeMs"),
+            averageGapTimeMs: days.length > 0 ? sum("totalGapTimeMs") / days.length : 0,
+            overlapDayCount: days.filter((day) => day.totalOverlapTimeMs > 0).length
+        });
+    }
+    return weeks;
+}
+
+/**
+ * Converts the history to the document written by the history export.
+ *
+ * @param {Object.<string, HistoryDay>} history - The history days keyed by date key.
+ * @returns {Object} The export document, suitable for `JSON.stringify`.
+ */
+export function historyToJson(history) {
+    return {
+        format: HISTORY_FILE_FORMAT,
+        version: HISTORY_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        days: Object.values(history).sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+/**
+ * Reads the days from a history export. Invalid days are skipped.
+ *
+ * @param {string} text - The content of the exported file.
+ * @returns {(Array<HistoryDay>|null)} The valid days of the file, or null if the file is not a history export.
+ */
+export function parseHistoryJson(text) {
+    let historyFile;
+    try {
+        historyFile = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    if (!historyFile || historyFile.format !== HISTORY_FILE_FORMAT || !Array.isArray(historyFile.days)) {
+        return null;
+    }
+    return historyFile.days.filter(isHistoryDay);
+}
+
+/**
+ * Adds imported days to the history. A day already in the history is only replaced if the imported day was viewed later.
+ *
+ * @param {Array<HistoryDay>} days - The days to import, from `parseHistoryJson`.
+ * @returns {Promise<number>} A promise resolving to the number of days added or replaced.
+ */
+export async function importHistoryDays(days) {
+    const history = await loadHistory();
+    let importedCount = 0;
+    days.forEach((day) => {
+        const existingDay = history[day.date];
+        if (!existingDay || existingDay.updatedAt < day.updatedAt) {
+            history[day.date] = Object.fromEntries(["date", ...HISTORY_DAY_PROPERTIES, "updatedAt"].map((property) => [property, day[property]]));
+            importedCount++;
+        }
+    });
+    await chrome.storage.local.set({ history });
+    return importedCount;
+}
@@ -0,0 +1,184 @@
+import en from "../_locales/en/messages.json";
+import nb from "../_locales/nb/messages.json";
+import nn from "../_locales/nn/messages.json";
+import { NORWEGIAN_WEEKDAYS, formatNorwegianDate, formatShortNorwegianDate } from "./dates";
+
+/**
+ * The messages of each supported language, read from the same `_locales` files as the manifest uses.
+ * They are bundled rather than read with `chrome.i18n.getMessage`, since that always follows the browser language,
+ * while the panel follows the Tripletex language or the user's choice.
+ */
+const MESSAGES = { nb, nn, en };
+
+/**
+ * The supported languages, used as values of the `language` setting together with "auto".
+ */
+export const LANGUAGES = Object.freeze(["nb", "nn", "en"]);
+
+/**
+ * The language used when neither the setting nor the page or browser language is supported.
+ */
+const DEFAULT_LANGUAGE = "nb";
+
+/**
+ * The language used for messages missing from the current language, matching `default_locale` in the manifest.
+ */
+const FALLBACK_LANGUAGE = "en";
+
+/**
+ * The BCP 47 tag of each language, used for dates and numbers.
+ */
+const LOCALE_TAGS = { nb: "nb-NO", nn: "nn-NO", en: "en-GB" };
+
+/**
+ * The language currently in use.
+ */
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Returns the supported language of a language tag such as "nb-NO", "no" or "en-US".
+ *
+ * @param {(string|undefined)} languageTag - The language tag.
+ * @returns {(string|null)} One of `LANGUAGES`, or null if the language is not supported.
+ */
+function toSupportedLanguage(languageTag) {
+    const primaryLanguage = (languageTag || "").toLowerCase().split(/[-_]/)[0];
+    if (primaryLanguage === "no") return "nb";
+    return LANGUAGES.includes(primaryLanguage) ? primaryLanguage : null;
+}
+
+/**
+ * Decides which language to use: the language chosen in the settings, or if it is "auto",
+ * the first supported language among the given candidates, such as the language of the Tripletex page and of the browser.
+ *
+ * @param {string} languageSetting - The `language` setting, "auto" or one of `LANGUAGES`.
+ * @param {...(string|undefined)} candidateLanguageTags - Language tags to try in order when the setting is "auto".
+ * @returns {string} One of `LANGUAGES`.
+ */
+export function resolveLanguage(languageSetting, ...candidateLanguageTags) {
+    if (LANGUAGES.includes(languageSetting)) {
+        return languageSetting;
+    }
+    return candidateLanguageTags.map(toSupportedLanguage).find(Boolean) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Sets the language used by `getMessage` and the date formatting.
+ *
+ * @param {string} language - One of `LANGUAGES`. Unsupported values are ignored.
+ */
+export function setLanguage(language) {
+    if (LANGUAGES.includes(language)) {
+        currentLanguage = language;
+    }
+}
+
+/**
+ * Returns the language currently in use.
+ *
+ * @returns {string} One of `LANGUAGES`.
+ */
+export function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Returns the BCP 47 tag of the language currently in use, e.g. "nb-NO".
+ *
+ * @returns {string} The locale tag.
+ */
+export function getLocaleTag() {
+    return LOCALE_TAGS[currentLanguage];
+}
+
+/**
+ * Returns a message in the current language, with "$1" to "$9" replaced by the substitutions, like `chrome.i18n.getMessage`.
+ *
+ * @param {string} key - The message name in `_locales/<language>/messages.json`.
+ * @param {(Array<*>|*)} [substitutions] - The values of "$1", "$2" and so on, or a single value for "$1".
+ * @returns {string} The message, or the key if no language has the message.
+ */
+export function getMessage(key, substitutions = []) {
+    const entry = MESSAGES[currentLanguage][key] || MESSAGES[FALLBACK_LANGUAGE][key];
+    if (!entry) return key;
+    const values = [].concat(substitutions);
+    return entry.message.replace(/\$(\d)/g, (match, index) => String(values[index - 1] ?? ""));
+}
+
+/**
+ * Formats a date with weekday and month names in the current language, e.g. "mandag 13. oktober 2025".
+ * Bokmål uses the formatting from `dates.js`, which does not depend on the locale data of the browser.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+export function formatLongDate(date) {
+    if (currentLanguage === "nb") {
+        return formatNorwegianDate(date);
+    }
+    return date.toLocaleDateString(getLocaleTag(), { weekday: "long", day: "numeric", month: "long", year: "numeric" });
+}
+
+/**
+ * Formats a date as a short day label in the current language, e.g. "man. 13.10".
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted day label.
+ */
+export function formatShortDate(date) {
+    if (currentLanguage === "nb") {
+        return formatShortNorwegianDate(date);
+    }
+    return date.toLocaleDateString(getLocaleTag(), { weekday: "short", day: "numeric", month: "numeric" });
+}
+
+/**
+ * Returns the short name of a weekday in the current language, e.g. "man.".
+ *
+ * @param {number} weekday - The weekday as from `Date.getDay()`, 0 for Sunday.
+ * @returns {string} The short weekday name.
+ */
+export function formatShortWeekday(weekday) {
+    if (currentLanguage === "nb") {
+        return `${NORWEGIAN_WEEKDAYS[weekday].slice(0, 3)}.`;
+    }
+    // 7 January 2024 was a Sunday
+    return new Date(2024, 0, 7 + weekday).toLocaleDateString(getLocaleTag(), { weekday: "short" });
+}
+
+/**
+ * Returns the name of a weekday in the current language, starting with a capital letter, e.g. "Mandag".
+ *
+ * @param {number} weekday - The weekday as from `Date.getDay()`, 0 for Sunday.
+ * @returns {string} The weekday name.
+ */
+export function formatWeekday(weekday) {
+    let name = NORWEGIAN_WEEKDAYS[weekday];
+    if (currentLanguage !== "nb") {
+        // 7 January 2024 was a Sunday
+        name = new Date(2024, 0, 7 + weekday).toLocaleDateString(getLocaleTag(), { weekday: "long" });
+    }
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Formats a date with numbers only in the current language, e.g. "13.10.2025".
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+export function formatNumericDate(date) {
+    return date.toLocaleDateString(getLocaleTag(), { day: "2-digit", month: "2-digit", year: "numeric" });
+}
+
+/**
+ * Sets the text of every element with a `data-i18n` attribute to the message it names, in the current language.
+ * Used by the popup and options pages, whose static text is written in HTML.
+ *
+ * @param {ParentNode} root - The element or document to localise.
+ */
+export function localizeElements(root) {
+    root.querySelectorAll("[data-i18n]").forEach((element) => {
+        element.textContent = getMessage(element.dataset.i18n);
+    });
+}
@@ -1,560 +1,1496 @@
+import { diagnosePageLayout, findPageAdapter, readPagePeriod } from "./adapters";
+import { groupTableRows } from "./analysis";
+import { getActivityBreakdown } from "./breakdown";
+import { loadActivityColorOverrides, onActivityColorOverridesChanged, saveActivityColorOverride, toActivityColor } from "./colors";
+import { evaluateCompliance } from "./compliance";
+import { formatClockTime, toDateKey } from "./dates";
+import { formatDuration, formatSignedDuration, setDurationFormat } from "./durations";
+import { downloadFile, getExportFileName, groupsToCsv, groupsToICalendar, groupsToJson } from "./export";
+import { getWeekdayHourHeatmap, renderHeatmap } from "./heatmap";
+import { formatLongDate, formatShortDate, getLanguage, getMessage, resolveLanguage, setLanguage } from "./i18n";
+import panelStylesheet from "./panel.css";
+import { DEFAULT_PANEL_STATE, loadPanelState, savePanelState } from "./panelState";
+import { openPrintableReport } from "./report";
+import { DEFAULT_SETTINGS, getExpectedTimeForWeekday, loadSettings, normalizeSettings, onSettingsChanged, saveSettings } from "./settings";
+import { getTimelineLayout, panTimelineZoom, renderSvgTimeline, scaleTimelineZoom } from "./timeline";
+
 (function () {
     "use strict";
 
     /**
-     * Parses a string containing time intervals and returns an array of interval objects with start and stop times.
+     * The adapter reading the Tripletex view the content script runs on.
+     */
+    const pageAdapter = findPageAdapter(location.href);
+    if (!pageAdapter) return;
+
+    /**
+     * How long to wait for the page to show a recognisable layout before showing a diagnostic.
+     */
+    const LAYOUT_DIAGNOSTIC_DELAY_MS = 10 * 1000;
+
+    /**
+     * The settings currently in effect. Starts out as the defaults and is replaced once loaded from storage.
+     */
+    let settings = normalizeSettings(DEFAULT_SETTINGS);
+
+    /**
+     * Whether the panel is collapsed, compact or showing the heatmap. Starts out as the defaults and is replaced once loaded from storage.
+     */
+    let panelState = { ...DEFAULT_PANEL_STATE };
+
+    /**
+     * The part of the timelines zoomed in on, as from `normalizeTimelineZoom`, or null to show the whole day.
+     * Only kept while the page is open, since it is chosen for the days being looked at.
+     */
+    let timelineZoom = null;
+
+    /**
+     * The activity colors chosen by the user, keyed by activity name.
+     */
+    let activityColorOverrides = {};
+
+    /**
+     * The groups currently shown in the panel.
+     */
+    let currentGroupedRows = [];
+
+    /**
+     * How long to wait after the last change to the time report table before updating the panel.
+     */
+    const TABLE_UPDATE_DEBOUNCE_MS = 300;
+
+    /**
+     * The table and table body currently being watched, its observer and the pending debounced update.
+     */
+    let watchedTable = null;
+    let watchedTbody = null;
+    let tbodyObserver = null;
+    let tableUpdateTimeout = null;
+
+    /**
+     * How often the panel is updated while a stopwatch is running, so that its total keeps ticking.
+     */
+    const RUNNING_STOPWATCH_TICK_MS = 30 * 1000;
+    let runningStopwatchInterval = null;
+
+    /**
+     * The summary last sent to the background worker, serialised, so that an unchanged summary is not sent again.
+     */
+    let lastSentSummary = null;
+
+    /**
+     * The render signature of each group element, and a unique ID per table row used in the signatures.
+     */
+    const groupElementSignatures = new WeakMap();
+    const tableRowIds = new WeakMap();
+    let nextTableRowId = 1;
+
+    /**
+     * The groups whose list of gaps and overlaps is expanded, kept open when the group is rendered again.
+     */
+    const openGapInspectorGroupIds = new Set();
+
+    /**
+     * Finds the period shown on the Tripletex page.
      *
-     * The intervals should be in the format "(HH:MM - HH:MM)", and multiple intervals can be present in the string.
-     * If the stop time is before the start time, it is assumed the interval passes midnight.
+     * @returns {({start: Date, end: Date}|null)} The period, or null if it could not be found.
+     */
+    function getPagePeriod() {
+        return readPagePeriod(pageAdapter, document);
+    }
+
+    /**
+     * Reads the rows of the time report table and groups them per day, colored by the current settings.
      *
-     * @param {string} intervalsString - The string containing time intervals to parse.
-     * @param {string} activity - The activity associated with each interval.
-     * @returns {Array<{startTime: Date, stopTime: Date, activity: string}>} Array of interval objects with startTime, stopTime, and activity.
+     * @param {HTMLTableElement} table - The time report table.
+     * @returns {Array<Object>} The groups from `groupTableRows`.
      */
-    function getIntervalsFromString(intervalsString, activity) {
-        // Trim unnecessary spaces
-        const text = intervalsString.trim();
+    function readGroups(table) {
+        return groupTableRows(pageAdapter.readRows(table), getPagePeriod(), { palette: settings.colorPalette, overrides: activityColorOverrides });
+    }
 
-        // Use regex to match all time intervals
-        const regex = /\((\d{2}):(\d{2})\s*-\s*(\d{2}):(\d{2})\)/g;
+    /**
+     * Resets the `colSpan` property of all <td> elements in the given header row to 1.
+     *
+     * @param {HTMLTableRowElement} headerRow - The table row element containing <td> cells to adjust.
+     */
+    function adjustOriginalHeaderRowTd(headerRow) {
+        if (headerRow) {
+            const originalCells = headerRow.querySelectorAll("td");
+            originalCells.forEach((cell) => {
+                cell.colSpan = 1;
+            });
+        }
+    }
 
-        let matches;
-        const intervals = [];
+    /**
+     * Creates a styled time element displaying hours and minutes, with a warning or success icon
+     * based on whether the time is outside a specified threshold.
+     *
+     * @param {number} time - The time value in milliseconds.
+     * @param {number} threshold - The threshold value in milliseconds to compare against.
+     * @param {boolean} warningIfExceeded - If true, warns when time exceeds threshold; if false, warns when time is below threshold.
+     * @param {string} warningMessageKey - The message describing the warning, with the time as "$1" and its distance from the threshold as "$2".
+     * @param {string} okMessageKey - The message describing a time within the threshold.
+     * @returns {HTMLSpanElement} The styled span element representing the time and status.
+     */
+    function renderTimeElement(time, threshold, warningIfExceeded, warningMessageKey, okMessageKey) {
+        const timeIsOutsideThreshold = warningIfExceeded ? time > threshold : time < threshold;
+        const statusText = timeIsOutsideThreshold
+            ? getMessage(warningMessageKey, [formatDuration(time), formatDuration(Math.abs(time - threshold))])
+            : getMessage(okMessageKey);
+        return renderStatusTimeElement(time, timeIsOutsideThreshold, statusText);
+    }
 
-        // Get today's date
-        const today = new Date();
-        const year = today.getFullYear();
-        const month = today.getMonth();
-        const day = today.getDate();
+    /**
+     * Creates a styled time element displaying hours and minutes, with a warning or success icon.
+     * The status is also given as text, shown as a tooltip and read by screen readers instead of the icon.
+     *
+     * @param {number} time - The time value in milliseconds.
+     * @param {boolean} isWarning - Whether the time should be shown as a warning.
+     * @param {string} statusText - A description of the status, e.g. "Pause 1t 0m er 0t 30m over grensen".
+     * @returns {HTMLSpanElement} The styled span element representing the time and status.
+     */
+    function renderStatusTimeElement(time, isWarning, statusText) {
+        const timeElement = document.createElement("span");
+        timeElement.className = isWarning ? "status-time warning" : "status-time";
+        timeElement.title = statusText;
 
-        // Loop through all matches
-        while ((matches = regex.exec(text)) !== null) {
-            const [, startHour, startMinute, stopHour, stopMinute] = matches;
+        const durationElement = document.createElement("strong");
+        durationElement.textContent = formatDuration(time);
+        timeElement.append(renderIconElement(isWarning ? "⚠️ " : "✅ "), durationElement, renderVisuallyHiddenElement(` ${statusText}`));
 
-            // Create start and stop Date objects
-            const startTime = new Date(year, month, day, startHour, startMinute);
-            let stopTime = new Date(year, month, day, stopHour, stopMinute);
+        return timeElement;
+    }
 
-            // If stop time is before start time, it means the interval passes midnight → add 1 day
-            if (stopTime < startTime) {
-                stopTime.setDate(stopTime.getDate() + 1);
-            }
+    /**
+     * Creates an icon hidden from screen readers, for icons whose meaning is given as text next to them.
+     *
+     * @param {string} icon - The icon, e.g. an emoji.
+     * @returns {HTMLSpanElement} The icon element.
+     */
+    function renderIconElement(icon) {
+        const iconElement = document.createElement("span");
+        iconElement.setAttribute("aria-hidden", "true");
+        iconElement.textContent = icon;
+        return iconElement;
+    }
 
-            intervals.push({ startTime, stopTime, activity });
-        }
-        return intervals;
+    /**
+     * Creates a text that is only read by screen readers, for information otherwise given by color, icons or layout.
+     *
+     * @param {string} text - The text.
+     * @returns {HTMLSpanElement} The visually hidden element.
+     */
+    function renderVisuallyHiddenElement(text) {
+        const textElement = document.createElement("span");
+        textElement.className = "visually-hidden";
+        textElement.textContent = text;
+        return textElement;
     }
 
     /**
-     * Returns the start time of the first interval in the given group.
+     * Returns the expected working time for the given group in milliseconds.
+     * If the date of the group can not be resolved, the longest expected working day is used.
      *
-     * @param {Object} group - The group object containing intervals.
-     * @param {Array} group.intervals - Array of interval objects.
-     * @returns {(number|null)} The start time of the first interval, or null if there are no intervals.
+     * @param {Object} group - The group object.
+     * @param {(Date|null)} group.date - The date of the group.
+     * @returns {number} The expected working time in milliseconds.
      */
-    function getGroupStartTime(group) {
-        if (group.intervals.length > 0) {
-            return group.intervals[0].startTime;
-        } else {
-            return null;
+    function getGroupExpectedTime(group) {
+        if (!group.date) {
+            return Math.max(...settings.expectedHoursPerWeekday) * 60 * 60 * 1000;
         }
+        return getExpectedTimeForWeekday(settings, group.date.getDay());
     }
 
     /**
-     * Returns the stop time of the last interval in the given group.
+     * Renders a time element for the total time, warning if it is below the expected working time.
+     * A running stopwatch is marked next to the time.
      *
-     * @param {Object} group - The group object containing intervals.
-     * @param {Array} group.intervals - An array of interval objects.
-     * @returns {(any|null)} The stop time of the last interval, or null if there are no intervals.
+     * @param {number} totalTime - The total time in milliseconds.
+     * @param {number} expectedTime - The expected working time in milliseconds.
+     * @param {boolean} [isRunning] - Whether the total includes a running stopwatch.
+     * @returns {HTMLElement} The rendered time element.
      */
-    function getGroupStopTime(group) {
-        if (group.intervals.length > 0) {
-            return group.intervals[group.intervals.length - 1].stopTime;
-        } else {
-            return null;
+    function renderTotalTimeElement(totalTime, expectedTime, isRunning = false) {
+        const timeElement = renderTimeElement(totalTime, expectedTime, false, "warningTotalBelow", "statusTotalOk");
+        if (isRunning) {
+            const runningMarker = document.createElement("span");
+            runningMarker.className = "running-marker";
+            runningMarker.textContent = getMessage("runningMarker");
+            runningMarker.title = getMessage("runningMarkerTitle");
+            timeElement.appendChild(runningMarker);
         }
+        return timeElement;
     }
 
     /**
-     * Calculates the total time for all intervals in a group.
+     * Renders a time element for a given gap time, warning if it exceeds the allowed pause.
      *
-     * @param {Object} group - The group object containing intervals.
-     * @param {Array<Object>} group.intervals - Array of interval objects.
-     * @param {number} group.intervals[].startTime - The start time of the interval (in milliseconds).
-     * @param {number} group.intervals[].stopTime - The stop time of the interval (in milliseconds).
-     * @returns {number} The total time of all intervals in the group (in milliseconds).
+     * @param {number} gapTime - The gap time in milliseconds to be rendered.
+     * @returns {HTMLElement} The rendered time element.
      */
-    function getGroupTotalTime(group) {
-        return group.intervals.reduce((total, interval) => {
-            return total + (interval.stopTime - interval.startTime);
-        }, 0);
+    function renderGapTimeElement(gapTime) {
+        const threshold = settings.allowedPauseMinutes * 60 * 1000;
+        return renderTimeElement(gapTime, threshold, true, "warningPause", "statusPauseOk");
     }
 
     /**
-     * Calculates the total gap time in milliseconds between consecutive intervals in a group.
-     * A gap is counted only if the start time of the current interval is after the stop time of the previous interval.
+     * Renders a time element for the given overlap time, warning if it exceeds the overlap tolerance.
      *
-     * @param {Object} group - The group object containing intervals.
-     * @param {Array<Object>} group.intervals - Array of interval objects with `startTime` and `stopTime` properties (in milliseconds).
-     * @returns {number} The total gap time in milliseconds between intervals.
+     * @param {number} overlapTime - The time value representing the overlap.
+     * @returns {HTMLElement} The rendered time element.
      */
-    function getGroupTotalGapTime(group) {
-        let totalGapTimeMs = 0;
-        for (let i = 1; i < group.intervals.length; i++) {
-            const gap = group.intervals[i].startTime - group.intervals[i - 1].stopTime;
-            if (gap > 0) {
-                totalGapTimeMs += gap;
-            }
+    function renderOverlapTimeElement(overlapTime) {
+        const threshold = settings.overlapToleranceMinutes * 60 * 1000;
+        return renderTimeElement(overlapTime, threshold, true, "warningOverlap", "statusOverlapOk");
+    }
+
+    /**
+     * Returns whether a discrepancy between registered and stopwatch time exceeds the discrepancy tolerance.
+     *
+     * @param {number} discrepancyMs - The registered minus stopwatch time in milliseconds.
+     * @returns {boolean} True if the discrepancy exceeds the tolerance.
+     */
+    function isDiscrepancyOutsideTolerance(discrepancyMs) {
+        return Math.abs(discrepancyMs) > settings.discrepancyToleranceMinutes * 60 * 1000;
+    }
+
+    /**
+     * Renders a time element for the registered time, warning if the registered time of the rows with
+     * stopwatch intervals differs from the stopwatch time by more than the discrepancy tolerance.
+     *
+     * @param {Object} group - The group object.
+     * @param {number} group.registeredTimeMs - Total registered time in milliseconds.
+     * @param {number} group.discrepancyMs - Registered minus stopwatch time in milliseconds.
+     * @returns {HTMLElement} The rendered time element.
+     */
+    function renderRegisteredTimeElement(group) {
+        const isWarning = isDiscrepancyOutsideTolerance(group.discrepancyMs);
+        const discrepancy = formatSignedDuration(group.discrepancyMs);
+        let statusText = getMessage("statusRegisteredOk");
+        if (isWarning) {
+            statusText = getMessage("warningDiscrepancy", discrepancy);
+        } else if (group.discrepancyMs !== 0) {
+            statusText = getMessage("discrepancyTitle", discrepancy);
         }
-        return totalGapTimeMs;
+        return renderStatusTimeElement(group.registeredTimeMs, isWarning, statusText);
     }
 
     /**
-     * Calculates the total overlap time (in milliseconds) between consecutive intervals in a group.
+     * Renders a list of the rows in a group whose registered hours differ from their stopwatch intervals,
+     * and a summary of the rows registered without stopwatch intervals.
      *
-     * @param {Object} group - The group containing intervals.
-     * @param {Array<Object>} group.intervals - Array of interval objects, each with `startTime` and `stopTime` properties (in milliseconds).
-     * @returns {number} The total overlap time in milliseconds between consecutive intervals.
+     * @param {Object} group - The group object.
+     * @returns {(HTMLDivElement|null)} The rendered details element, or null if there is nothing to report.
      */
-    function getGroupTotalOverlapTime(group) {
-        let totalOverlapTimeMs = 0;
-        for (let i = 1; i < group.intervals.length; i++) {
-            const overlap = group.intervals[i - 1].stopTime - group.intervals[i].startTime;
-            if (overlap > 0) {
-                totalOverlapTimeMs += overlap;
-            }
+    function renderEntryDetailsElement(group) {
+        const discrepantEntries = group.entries.filter((entry) => isDiscrepancyOutsideTolerance(entry.discrepancyMs));
+        if (discrepantEntries.length === 0 && group.untimedEntryCount === 0) {
+            return null;
+        }
+
+        const detailsElement = document.createElement("div");
+        detailsElement.className = "day-details";
+
+        discrepantEntries.forEach((entry) => {
+            const line = document.createElement("div");
+            line.append(
+                renderIconElement("⚠️ "),
+                getMessage("entryDiscrepancy", [
+                    entry.activity || getMessage("unknownActivity"),
+                    formatDuration(entry.intervalTimeMs),
+                    formatDuration(entry.registeredTimeMs),
+                    formatSignedDuration(entry.discrepancyMs)
+                ])
+            );
+            detailsElement.appendChild(line);
+        });
+
+        if (group.untimedEntryCount > 0) {
+            const line = document.createElement("div");
+            const untimedText =
+                group.untimedEntryCount === 1
+                    ? getMessage("untimedEntriesOne", formatDuration(group.untimedTimeMs))
+                    : getMessage("untimedEntriesMany", [group.untimedEntryCount, formatDuration(group.untimedTimeMs)]);
+            line.append(renderIconElement("⏱️ "), untimedText);
+            detailsElement.appendChild(line);
         }
-        return totalOverlapTimeMs;
+
+        return detailsElement;
+    }
+
+    /**
+     * Formats the time range of a gap or overlap, e.g. "11:30 - 12:00", in the format used by Tripletex stopwatch intervals.
+     *
+     * @param {{startTime: Date, stopTime: Date}} region - The gap or overlap.
+     * @returns {string} The formatted time range.
+     */
+    function formatRegionTimeRange(region) {
+        return `${formatClockTime(region.startTime)} - ${formatClockTime(region.stopTime)}`;
+    }
+
+    /**
+     * Finds the intervals on either side of a gap: the one stopping where the gap starts and the one starting where it stops.
+     *
+     * @param {Object} group - The group object.
+     * @param {{startTime: Date, stopTime: Date}} gap - The gap.
+     * @returns {{previous: (Object|undefined), next: (Object|undefined)}} The intervals before and after the gap.
+     */
+    function getGapNeighbours(group, gap) {
+        return {
+            previous: group.intervals.filter((interval) => interval.stopTime <= gap.startTime).sort((a, b) => b.stopTime - a.stopTime)[0],
+            next: group.intervals.find((interval) => interval.startTime >= gap.stopTime)
+        };
+    }
+
+    /**
+     * Shows a short confirmation on a button, then restores its text.
+     *
+     * @param {HTMLButtonElement} button - The button.
+     * @param {string} text - The confirmation to show.
+     */
+    function flashButtonText(button, text) {
+        const originalText = button.dataset.originalText || button.textContent;
+        button.dataset.originalText = originalText;
+        button.textContent = text;
+        setTimeout(() => {
+            button.textContent = originalText;
+        }, 2000);
     }
 
     /**
-     * Calculates the maximum total time among all groups.
-     * The total time for each group is the sum of `totalTime` and `totalGapTimeMs`.
+     * Copies the time range of a gap to the clipboard, ready to be pasted as a stopwatch interval.
      *
-     * @param {Array<{totalTime: number, totalGapTimeMs: number}>} groups - Array of group objects.
-     * @returns {number} The maximum total time found among the groups.
+     * @param {{startTime: Date, stopTime: Date}} gap - The gap.
+     * @param {HTMLButtonElement} button - The button that was clicked, used for the confirmation.
      */
-    function getMaxGroupTotalTime(groups) {
-        return Math.max(...groups.map((group) => group.totalTime + group.totalGapTimeMs));
+    function copyGapToClipboard(gap, button) {
+        navigator.clipboard.writeText(formatRegionTimeRange(gap)).then(
+            () => flashButtonText(button, getMessage("copied")),
+            () => flashButtonText(button, getMessage("copyFailed"))
+        );
     }
 
     /**
-     * Extracts and returns the trimmed text content of the first <strong> element
-     * inside the first <td> of a given table row.
+     * Creates a small text button for the actions on a gap.
      *
-     * @param {HTMLTableRowElement} row - The table row element to extract the day string from.
-     * @returns {string} The trimmed text content of the <strong> element, or an empty string if not found.
+     * @param {string} text - The button text.
+     * @param {string} title - The tooltip of the button.
+     * @param {function(HTMLButtonElement): void} onClick - Called with the button when it is clicked.
+     * @returns {HTMLButtonElement} The styled button element.
      */
-    function getTableRowDayString(row) {
-        // Get the first <td> in the row
-        const firstTd = row.querySelector("td");
-        if (!firstTd) return "";
-        // Get the first <strong> inside the first <td>
-        const strong = firstTd.querySelector("strong");
-        return strong ? strong.textContent.trim() : "";
+    function renderGapActionButton(text, title, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "gap-action";
+        button.textContent = text;
+        button.title = title;
+        button.onclick = () => onClick(button);
+        return button;
     }
 
     /**
-     * Generates a unique semi-transparent HSL color for each activity in the input array.
-     * Colors are evenly distributed across the hue spectrum.
+     * Renders an expandable list of every gap and overlap in a group, in time order. Each gap shows the activities
+     * on either side and has an action to copy its times.
      *
-     * @param {string[]} activities - Array of activity names to assign colors to.
-     * @returns {Object.<string, string>} An object mapping each activity name to its unique HSLA color string.
+     * @param {Object} group - The group object.
+     * @returns {(HTMLDetailsElement|null)} The rendered list, or null if the group has no gaps or overlaps.
      */
-    function generateUniqueColorForActivities(activities) {
-        const colors = {};
-        const hueStep = Math.floor(360 / activities.length);
-        activities.forEach((activity, index) => {
-            const hue = index * hueStep;
-            colors[activity] = `hsla(${hue}, 70%, 50%, 0.5)`; // HSL color with fixed saturation and lightness
+    function renderGapInspectorElement(group) {
+        const items = [
+            ...group.gaps.map((gap) => ({ type: "gap", region: gap })),
+            ...group.overlappingPairs.map((pair) => ({ type: "overlap", region: pair }))
+        ].sort((a, b) => a.region.startTime - b.region.startTime);
+        if (items.length === 0) {
+            return null;
+        }
+
+        const inspectorElement = document.createElement("details");
+        inspectorElement.className = "day-details gap-inspector";
+        inspectorElement.open = openGapInspectorGroupIds.has(group.headerRowElementId);
+        inspectorElement.addEventListener("toggle", () => {
+            if (inspectorElement.open) {
+                openGapInspectorGroupIds.add(group.headerRowElementId);
+            } else {
+                openGapInspectorGroupIds.delete(group.headerRowElementId);
+            }
         });
-        return colors;
-    }
-
-    /**
-     * Groups table rows from a given tbody element into logical groups based on row IDs,
-     * extracts interval data, assigns unique colors to activities, and calculates summary statistics
-     * for each group (total time, start/stop times, gap/overlap times).
-     *
-     * @param {HTMLTableSectionElement} tbody - The table body element containing rows to group.
-     * @returns {Array<Object>} Array of group objects, each containing:
-     *   - headerRowElementId {string}: The ID of the header row for the group.
-     *   - dayString {string}: The day string extracted from the header row.
-     *   - intervals {Array<Object>}: Array of interval objects with activity, startTime, stopTime, and color.
-     *   - totalTime {number}: Total time for all intervals in the group (milliseconds).
-     *   - startTime {number}: Earliest start time among intervals (milliseconds since epoch).
-     *   - stopTime {number}: Latest stop time among intervals (milliseconds since epoch).
-     *   - totalGapTimeMs {number}: Total gap time between intervals (milliseconds).
-     *   - totalOverlapTimeMs {number}: Total overlap time between intervals (milliseconds).
-     */
-    function groupTableRows(tbody) {
-        const groups = [];
-        const activities = new Set();
-        let currentGroup = null;
-
-        // Get all tr elements inside the tbody
-        const rows = tbody.querySelectorAll("tr");
-
-        rows.forEach((row) => {
-            if (row.id) {
-                // If we encounter a row with an id, start a new group
-                currentGroup = {
-                    headerRowElementId: row.id,
-                    dayString: getTableRowDayString(row),
-                    intervals: []
+
+        const summaryElement = document.createElement("summary");
+        summaryElement.textContent = getMessage("gapInspectorSummary", [group.gaps.length, group.overlappingPairs.length]);
+        inspectorElement.appendChild(summaryElement);
+
+        items.forEach(({ type, region }) => {
+            const line = document.createElement("div");
+            line.className = `gap-line ${type}`;
+
+            const timeElement = document.createElement("span");
+            timeElement.className = "gap-time";
+            timeElement.append(renderIconElement(type === "gap" ? "⏸️ " : "⚠️ "), formatRegionTimeRange(region));
+            line.appendChild(timeElement);
+
+            const durationElement = document.createElement("span");
+            durationElement.textContent = `(${formatDuration(region.stopTime - region.startTime)})`;
+            line.appendChild(durationElement);
+
+            const activitiesElement = document.createElement("span");
+            activitiesElement.className = "gap-activities";
+            const unknownActivity = getMessage("unknownActivity");
+            if (type === "gap") {
+                const { previous, next } = getGapNeighbours(group, region);
+                activitiesElement.textContent = getMessage("gapBetween", [previous?.activity || unknownActivity, next?.activity || unknownActivity]);
+            } else {
+                activitiesElement.textContent = getMessage("overlapBetween", [
+                    region.first.activity || unknownActivity,
+                    region.second.activity || unknownActivity
+                ]);
+            }
+            line.appendChild(activitiesElement);
+
+            if (type === "gap") {
+                line.appendChild(
+                    renderGapActionButton(getMessage("copyGap"), getMessage("copyGapTitle", formatRegionTimeRange(region)), (button) =>
+                        copyGapToClipboard(region, button)
+                    )
+                );
+            } else {
+                const showEntries = () => {
+                    highlightTableRow(region.first.rowElement);
+                    highlightTableRow(region.second.rowElement);
+                };
+                line.title = getMessage("showEntriesTitle");
+                line.tabIndex = 0;
+                line.setAttribute("role", "button");
+                line.onclick = showEntries;
+                line.onkeydown = (event) => {
+                    if (event.key === "Enter" || event.key === " ") {
+                        event.preventDefault();
+                        showEntries();
+                    }
                 };
-                groups.push(currentGroup);
-            } else if (currentGroup) {
-                // Otherwise, this row belongs to the current group
-                const interval = row.querySelector(".timeReportStopwatchIntervals strong");
-                const activity = row?.cells[1]?.textContent?.trim().replace(/\s+/g, " ");
-                if (activity) {
-                    activities.add(activity);
-                }
-                if (interval) {
-                    currentGroup.intervals.push(...getIntervalsFromString(interval.textContent.trim(), activity));
-                }
             }
+
+            inspectorElement.appendChild(line);
         });
 
-        const activityColors = generateUniqueColorForActivities(Array.from(activities));
+        return inspectorElement;
+    }
 
-        groups.forEach((group) => {
-            // Sort intervals by start time
-            group.intervals.sort((a, b) => a.startTime - b.startTime);
+    /**
+     * Scrolls the given table row into view and highlights it briefly.
+     *
+     * @param {HTMLTableRowElement} row - The table row to highlight.
+     */
+    function highlightTableRow(row) {
+        if (!row || !row.isConnected) return;
+        row.scrollIntoView({ behavior: "smooth", block: "center" });
+        row.style.transition = "background-color 0.3s";
+        row.style.backgroundColor = "var(--tlx-theme-pastel-color, #fff3bf)";
+        setTimeout(() => {
+            row.style.backgroundColor = "";
+        }, 2000);
+    }
 
-            // Assign colors to intervals based on activity
-            group.intervals.forEach((interval) => {
-                interval.color = activityColors[interval.activity] || "hsla(0, 0%, 0%, 0.5)"; // Default to semi-transparent black if no color found
-            });
+    /**
+     * Renders one badge per working-hours rule violation, with the rule description as tooltip.
+     * Violations and warnings have different icons, and their severity is read by screen readers.
+     *
+     * @param {Array<{rule: Object, message: string}>} violations - The violations to render.
+     * @returns {(HTMLDivElement|null)} The rendered badges element, or null if there are no violations.
+     */
+    function renderComplianceBadgesElement(violations) {
+        if (violations.length === 0) {
+            return null;
+        }
 
-            // Calculate total time, start time, stop time, total gap time, and total overlap time
-            group.totalTime = getGroupTotalTime(group);
-            group.startTime = getGroupStartTime(group);
-            group.stopTime = getGroupStopTime(group);
-            group.totalGapTimeMs = getGroupTotalGapTime(group);
-            group.totalOverlapTimeMs = getGroupTotalOverlapTime(group);
+        const badgesElement = document.createElement("div");
+        badgesElement.className = "day-details badges";
+
+        violations.forEach((violation) => {
+            const badge = document.createElement("span");
+            badge.className = `badge ${violation.rule.severity}`;
+            badge.title = violation.rule.description;
+            const isViolation = violation.rule.severity === "violation";
+            badge.append(
+                renderIconElement(isViolation ? "⛔ " : "⚠️ "),
+                renderVisuallyHiddenElement(`${getMessage(isViolation ? "severityViolation" : "severityWarning")}: `),
+                `${violation.rule.label}: ${violation.message}`
+            );
+            badgesElement.appendChild(badge);
         });
 
-        return groups;
+        return badgesElement;
     }
 
     /**
-     * Resets the `colSpan` property of all <td> elements in the given header row to 1.
+     * Renders a summary of all working-hours rule violations in the loaded period, counted per rule.
      *
-     * @param {HTMLTableRowElement} headerRow - The table row element containing <td> cells to adjust.
+     * @param {Array<{rule: Object}>} violations - The violations to summarize.
+     * @returns {HTMLDivElement} The rendered summary element.
      */
-    function adjustOriginalHeaderRowTd(headerRow) {
-        if (headerRow) {
-            const originalCells = headerRow.querySelectorAll("td");
-            originalCells.forEach((cell) => {
-                cell.colSpan = 1;
-            });
+    function renderComplianceSummaryElement(violations) {
+        const summaryElement = document.createElement("div");
+        summaryElement.className = "compliance-summary";
+
+        if (violations.length === 0) {
+            summaryElement.textContent = getMessage("complianceNone");
+            return summaryElement;
         }
+
+        const countsByRule = new Map();
+        violations.forEach((violation) => {
+            countsByRule.set(violation.rule, (countsByRule.get(violation.rule) || 0) + 1);
+        });
+        const hasViolation = violations.some((violation) => violation.rule.severity === "violation");
+        summaryElement.classList.add(hasViolation ? "violation" : "warning");
+        summaryElement.textContent = getMessage(
+            hasViolation ? "complianceSummaryViolation" : "complianceSummary",
+            Array.from(countsByRule, ([rule, count]) => `${rule.label} (${count})`).join(", ")
+        );
+        return summaryElement;
     }
 
     /**
-     * Converts milliseconds to whole hours.
+     * Renders a color swatch for an activity that opens a color picker when clicked. The picked color is saved
+     * as the activity's color. If the activity has a color chosen by the user, a button to reset it is shown too.
      *
-     * @param {number} ms - The time duration in milliseconds.
-     * @returns {number} The number of whole hours contained in the given milliseconds.
+     * @param {string} activity - The activity name.
+     * @param {string} color - The current color of the activity as "#rrggbbaa".
+     * @returns {HTMLSpanElement} The rendered color picker element.
      */
-    function getHoursFromMilliseconds(ms) {
-        return Math.floor(ms / (1000 * 60 * 60));
+    function renderActivityColorPicker(activity, color) {
+        const pickerElement = document.createElement("span");
+        pickerElement.className = "color-picker";
+
+        const colorInput = document.createElement("input");
+        colorInput.type = "color";
+        colorInput.value = color.slice(0, 7);
+        colorInput.title = getMessage("chooseColor");
+        colorInput.setAttribute("aria-label", `${getMessage("chooseColor")}: ${activity}`);
+        colorInput.onchange = () => saveActivityColorOverride(activity, toActivityColor(colorInput.value));
+        pickerElement.appendChild(colorInput);
+
+        if (activityColorOverrides[activity]) {
+            const resetButton = document.createElement("button");
+            resetButton.type = "button";
+            resetButton.textContent = "↺";
+            resetButton.title = getMessage("resetColor");
+            resetButton.setAttribute("aria-label", `${getMessage("resetColor")}: ${activity}`);
+            resetButton.onclick = () => saveActivityColorOverride(activity, null);
+            pickerElement.appendChild(resetButton);
+        }
+
+        return pickerElement;
+    }
+
+    /**
+     * Renders a collapsible table with the time spent per activity per day, with row and column totals,
+     * each activity's share of the total, and a color legend matching the timeline bars.
+     *
+     * @param {Array<Object>} groupedRows - An array of group objects.
+     * @returns {HTMLDetailsElement} The rendered breakdown element.
+     */
+    function renderActivityBreakdownElement(groupedRows) {
+        const breakdown = getActivityBreakdown(groupedRows);
+
+        const breakdownElement = document.createElement("details");
+        breakdownElement.className = "breakdown";
+
+        const summaryElement = document.createElement("summary");
+        summaryElement.textContent = getMessage("breakdownSummary", breakdown.activities.length);
+        breakdownElement.appendChild(summaryElement);
+
+        const tableElement = document.createElement("table");
+        const dayLabels = groupedRows.map((group) => (group.date ? formatShortDate(group.date) : group.dayString || getMessage("unknownDay")));
+
+        const headerRow = tableElement.createTHead().insertRow();
+        [getMessage("breakdownActivity"), ...dayLabels, getMessage("breakdownSum"), getMessage("breakdownShare")].forEach((label) => {
+            const headerCell = document.createElement("th");
+            headerCell.textContent = label;
+            headerRow.appendChild(headerCell);
+        });
+
+        const tableBody = tableElement.createTBody();
+        breakdown.activities.forEach((activityRow) => {
+            const row = tableBody.insertRow();
+
+            const activityCell = row.insertCell();
+            activityCell.appendChild(renderActivityColorPicker(activityRow.activity, activityRow.color));
+            activityCell.appendChild(document.createTextNode(activityRow.activity));
+
+            [...activityRow.timesByGroup, activityRow.totalTimeMs].forEach((time) => {
+                row.insertCell().textContent = time > 0 ? formatDuration(time) : "";
+            });
+
+            row.insertCell().textContent = `${Math.round(activityRow.share * 100)} %`;
+        });
+
+        const footerRow = tableElement.createTFoot().insertRow();
+        footerRow.insertCell().textContent = getMessage("breakdownSum");
+        [...breakdown.groupTotals, breakdown.totalTimeMs].forEach((time) => {
+            footerRow.insertCell().textContent = formatDuration(time);
+        });
+        footerRow.insertCell().textContent = breakdown.totalTimeMs > 0 ? "100 %" : "";
+
+        // Let wide tables with many days scroll horizontally instead of stretching the panel
+        const scrollContainer = document.createElement("div");
+        scrollContainer.className = "breakdown-scroll";
+        scrollContainer.appendChild(tableElement);
+        breakdownElement.appendChild(scrollContainer);
+
+        return breakdownElement;
     }
 
     /**
-     * Returns the number of minutes (0-59) from a given duration in milliseconds,
-     * ignoring full hours.
+     * Creates a text button for the panel header.
      *
-     * @param {number} ms - The duration in milliseconds.
-     * @returns {number} The number of minutes extracted from the milliseconds.
+     * @param {string} text - The button text.
+     * @param {function(): void} onClick - Called when the button is clicked.
+     * @returns {HTMLButtonElement} The styled button element.
      */
-    function getMinutesFromMilliseconds(ms) {
-        return Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+    function renderHeaderButton(text, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "header-button";
+        button.textContent = text;
+        button.onclick = onClick;
+        return button;
     }
 
     /**
-     * Creates a styled time element displaying hours and minutes, with a warning or success icon
-     * based on whether the time is outside a specified threshold.
+     * Creates a small button for the toolbar above the days.
      *
-     * @param {number} time - The time value in milliseconds.
-     * @param {number} threshold - The threshold value in milliseconds to compare against.
-     * @param {boolean} warningIfExceeded - If true, warns when time exceeds threshold; if false, warns when time is below threshold.
-     * @returns {HTMLSpanElement} The styled span element representing the time and status.
+     * @param {string} text - The button text.
+     * @param {string} title - The tooltip, also used as accessible name.
+     * @param {function(): void} onClick - Called when the button is clicked.
+     * @returns {HTMLButtonElement} The styled button element.
      */
-    function renderTimeElement(time, threshold, warningIfExceeded) {
-        const timeElement = document.createElement("span");
+    function renderToolbarButton(text, title, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "toolbar-button";
+        button.textContent = text;
+        button.title = title;
+        button.setAttribute("aria-label", title);
+        button.onclick = onClick;
+        return button;
+    }
 
-        const timeIsOutsideThreshold = warningIfExceeded ? time > threshold : time < threshold;
+    /**
+     * Renders the toolbar above the days, with the switch to the heatmap, the choice of time scale for the timelines
+     * and the zoom buttons. The timelines can also be zoomed by dragging across one of them.
+     *
+     * @returns {HTMLDivElement} The rendered toolbar. Its buttons are updated by `updateTimelineToolbar`.
+     */
+    function renderTimelineToolbar() {
+        const toolbarElement = document.createElement("div");
+        toolbarElement.className = "timeline-toolbar";
 
-        // Colors & background for better visuals
-        const color = timeIsOutsideThreshold ? "#e63946" : "#2a9d60"; // Red or Green
+        const heatmapButton = renderToolbarButton(getMessage("heatmapView"), getMessage("heatmapViewTitle"), () =>
+            updatePanelState({ heatmap: !panelState.heatmap })
+        );
+        heatmapButton.id = "heatmapButton";
+        heatmapButton.setAttribute("aria-controls", "heatmap");
+        toolbarElement.appendChild(heatmapButton);
 
-        // Styling for container
-        timeElement.style.display = "inline-flex";
-        timeElement.style.alignItems = "center";
-        timeElement.style.marginRight = "14px";
-        timeElement.style.fontSize = "14px";
-        timeElement.style.color = color;
-        timeElement.style.whiteSpace = "break-spaces";
+        const timeScaleGroup = document.createElement("div");
+        timeScaleGroup.className = "toolbar-group time-scale";
+        timeScaleGroup.setAttribute("role", "group");
+        timeScaleGroup.setAttribute("aria-label", getMessage("timeScaleLabel"));
+        const timeScaleLabel = document.createElement("span");
+        timeScaleLabel.textContent = getMessage("timeScaleLabel");
+        timeScaleLabel.setAttribute("aria-hidden", "true");
+        timeScaleGroup.appendChild(timeScaleLabel);
+        [
+            ["timeScaleRelative", false],
+            ["timeScaleAbsolute", true]
+        ].forEach(([messageKey, sharedTimeScale]) => {
+            const button = renderToolbarButton(getMessage(messageKey), getMessage(`${messageKey}Title`), () => {
+                // The panel is updated when the saved settings are applied, as when changed on the options page
+                if (settings.sharedTimeScale !== sharedTimeScale) {
+                    saveSettings({ ...settings, sharedTimeScale });
+                }
+            });
+            // The accessible name is the button text, so that it matches the pressed state
+            button.removeAttribute("aria-label");
+            button.id = `${messageKey}Button`;
+            timeScaleGroup.appendChild(button);
+        });
+        toolbarElement.appendChild(timeScaleGroup);
 
-        // Get hours and minutes
-        const hours = getHoursFromMilliseconds(time);
-        const minutes = getMinutesFromMilliseconds(time);
+        const zoomGroup = document.createElement("div");
+        zoomGroup.className = "toolbar-group zoom-controls";
+        zoomGroup.setAttribute("role", "group");
+        zoomGroup.setAttribute("aria-label", getMessage("zoomLabel"));
+        [
+            ["−", "zoomOut", () => scaleTimelineZoom(timelineZoom, 2)],
+            ["+", "zoomIn", () => scaleTimelineZoom(timelineZoom, 0.5)],
+            ["◀", "panLeft", () => panTimelineZoom(timelineZoom, -0.5)],
+            ["▶", "panRight", () => panTimelineZoom(timelineZoom, 0.5)]
+        ].forEach(([text, messageKey, getZoom]) => {
+            const button = renderToolbarButton(text, getMessage(messageKey), () => setTimelineZoom(getZoom()));
+            button.id = `${messageKey}Button`;
+            zoomGroup.appendChild(button);
+        });
+        const resetButton = renderToolbarButton(getMessage("zoomReset"), getMessage("zoomReset"), () => setTimelineZoom(null));
+        resetButton.id = "zoomResetButton";
+        zoomGroup.appendChild(resetButton);
+        const hintElement = document.createElement("span");
+        hintElement.className = "toolbar-hint";
+        hintElement.textContent = getMessage("zoomHint");
+        zoomGroup.appendChild(hintElement);
+        toolbarElement.appendChild(zoomGroup);
 
-        // Add warning icon if totalTime is outside threshold
-        const warningIcon = timeIsOutsideThreshold ? "⚠️ " : "✅ ";
+        return toolbarElement;
+    }
 
-        timeElement.innerHTML = `${warningIcon} <span style="font-weight: 500;">${hours}t ${minutes}m</span>`;
+    /**
+     * Shows the chosen time scale and zoom in the toolbar, and enables only the zoom buttons that would change anything.
+     */
+    function updateTimelineToolbar() {
+        [
+            ["timeScaleRelativeButton", !settings.sharedTimeScale],
+            ["timeScaleAbsoluteButton", settings.sharedTimeScale]
+        ].forEach(([elementId, isPressed]) => {
+            const button = getPanelElement(elementId);
+            button.classList.toggle("active", isPressed);
+            button.setAttribute("aria-pressed", String(isPressed));
+        });
 
-        return timeElement;
+        getPanelElement("zoomOutButton").disabled = !timelineZoom;
+        getPanelElement("panLeftButton").disabled = !timelineZoom || timelineZoom.from <= 0;
+        getPanelElement("panRightButton").disabled = !timelineZoom || timelineZoom.to >= 1;
+        getPanelElement("zoomResetButton").disabled = !timelineZoom;
     }
 
     /**
-     * Renders a time element for the total time, applying a threshold of 7.5 hours.
+     * Zooms all timelines in on the same part of the day, or shows the whole day again.
      *
-     * @param {number} totalTime - The total time in milliseconds.
-     * @returns {HTMLElement} The rendered time element.
+     * @param {({from: number, to: number}|null)} zoom - The part of the timelines to show, or null for all of it.
      */
-    function renderTotalTimeElement(totalTime) {
-        const threshold = 7.5 * 60 * 60 * 1000; // 7.5 hours
-        return renderTimeElement(totalTime, threshold, false);
+    function setTimelineZoom(zoom) {
+        timelineZoom = zoom;
+        updateGroupInfo(currentGroupedRows);
     }
 
     /**
-     * Renders a time element for a given gap time, applying a threshold of 30 minutes.
+     * Returns whether Tripletex is shown with a dark theme, judged by the first background color behind the panel.
      *
-     * @param {number} gapTime - The gap time in milliseconds to be rendered.
-     * @returns {HTMLElement} The rendered time element.
+     * @returns {boolean} True if the background behind the panel is dark.
      */
-    function renderGapTimeElement(gapTime) {
-        const threshold = 30 * 60 * 1000; // 30 minutes
-        return renderTimeElement(gapTime, threshold, true);
+    function isPageDark() {
+        for (let element = document.querySelector(pageAdapter.mountPointSelector) || document.body; element; element = element.parentElement) {
+            const match = /rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/.exec(getComputedStyle(element).backgroundColor);
+            if (match && (match[4] === undefined || Number(match[4]) > 0)) {
+                const [red, green, blue] = match.slice(1, 4).map(Number);
+                return (0.299 * red + 0.587 * green + 0.114 * blue) / 255 < 0.5;
+            }
+        }
+        return false;
     }
 
     /**
-     * Renders a time element for the given overlap time.
-     *
-     * @param {number} overlapTime - The time value representing the overlap.
-     * @returns {HTMLElement} The rendered time element.
+     * Makes the panel and the layout diagnostic follow the light or dark theme of the page.
      */
-    function renderOverlapTimeElement(overlapTime) {
-        const threshold = 0; // No threshold for overlap
-        return renderTimeElement(overlapTime, threshold, true);
-    }
-
-    /**
-     * Renders an SVG timeline for a given group of intervals.
-     *
-     * Each interval is represented as a rectangle positioned and sized according to its start and stop times,
-     * relative to the group's start time and the maximum total time of the group.
-     *
-     * @param {Object} group - The group containing intervals to render.
-     * @param {number} group.startTime - The start time of the group.
-     * @param {Array<Object>} group.intervals - Array of interval objects.
-     * @param {number} group.intervals[].startTime - The start time of the interval.
-     * @param {number} group.intervals[].stopTime - The stop time of the interval.
-     * @param {string} group.intervals[].color - The color to fill the interval rectangle.
-     * @param {number} maxGroupTotalTime - The maximum total time for the group, used for scaling.
-     * @returns {SVGSVGElement} The generated SVG element representing the timeline.
-     */
-    function renderSvgTimeline(group, maxGroupTotalTime) {
-        const svgNS = "http://www.w3.org/2000/svg";
-        const svg = document.createElementNS(svgNS, "svg");
-        svg.setAttribute("width", "100%");
-        svg.setAttribute("height", "30");
-        svg.setAttribute("overflow", "visible");
-
-        group.intervals.forEach((interval) => {
-            const rect = document.createElementNS(svgNS, "rect");
-            const x = ((interval.startTime - group.startTime) / maxGroupTotalTime) * 100;
-            const width = ((interval.stopTime - interval.startTime) / maxGroupTotalTime) * 100;
-
-            rect.setAttribute("x", `${x}%`);
-            rect.setAttribute("y", "0");
-            rect.setAttribute("rx", "5"); // Rounded corners
-            rect.setAttribute("ry", "5"); // Rounded corners
-            rect.setAttribute("width", `${width}%`);
-            rect.setAttribute("height", "30");
-            rect.setAttribute("fill", interval.color);
-            rect.setAttribute("stroke", "#757c8a");
-            rect.setAttribute("stroke-width", "1");
-
-            svg.appendChild(rect);
+    function updatePanelTheme() {
+        const isDark = isPageDark();
+        ["gapsNLapsContainer", "gapsNLapsDiagnostic"].forEach((elementId) => {
+            document.getElementById(elementId)?.classList.toggle("dark", isDark);
         });
-        return svg;
     }
 
     /**
-     * Renders group information rows in the table, including total time, gap time, overlap time,
-     * and a visual timeline for each group. Modifies the DOM by adding cells and rows to display
-     * these details for each group in the provided array.
+     * Creates an element whose content is rendered in a shadow root with the panel stylesheet,
+     * so that the styles of Tripletex and of the panel do not affect each other.
+     *
+     * @param {string} elementId - The ID of the host element in the page.
+     * @returns {{host: HTMLDivElement, root: ShadowRoot}} The host element to add to the page, and the shadow root to render into.
+     */
+    function createShadowHost(elementId) {
+        const host = document.createElement("div");
+        host.id = elementId;
+        host.classList.toggle("dark", isPageDark());
+
+        const root = host.attachShadow({ mode: "open" });
+        const styleElement = document.createElement("style");
+        styleElement.textContent = panelStylesheet;
+        root.appendChild(styleElement);
+        return { host, root };
+    }
+
+    /**
+     * Returns an element of the panel by its ID within the shadow root.
+     *
+     * @param {string} elementId - The ID of the element.
+     * @returns {(HTMLElement|null)} The element, or null if the panel is not shown.
+     */
+    function getPanelElement(elementId) {
+        return document.getElementById("gapsNLapsContainer")?.shadowRoot.getElementById(elementId) || null;
+    }
+
+    /**
+     * Shows the panel collapsed or expanded, in compact or full mode, and with the days or the heatmap, according to the panel state.
+     */
+    function applyPanelState() {
+        const panelElement = getPanelElement("panel");
+        if (!panelElement) return;
+        panelElement.classList.toggle("collapsed", panelState.collapsed);
+        panelElement.classList.toggle("compact", panelState.compact);
+        panelElement.classList.toggle("heatmap", panelState.heatmap);
+
+        const collapseButton = getPanelElement("collapseButton");
+        collapseButton.textContent = panelState.collapsed ? "▸" : "▾";
+        collapseButton.title = getMessage(panelState.collapsed ? "expandPanel" : "collapsePanel");
+        collapseButton.setAttribute("aria-label", collapseButton.title);
+        collapseButton.setAttribute("aria-expanded", String(!panelState.collapsed));
+
+        const compactButton = getPanelElement("compactButton");
+        compactButton.classList.toggle("active", panelState.compact);
+        compactButton.setAttribute("aria-pressed", String(panelState.compact));
+
+        const heatmapButton = getPanelElement("heatmapButton");
+        heatmapButton.classList.toggle("active", panelState.heatmap);
+        heatmapButton.setAttribute("aria-pressed", String(panelState.heatmap));
+    }
+
+    /**
+     * Changes the panel state, shows the change and remembers it for the next time the panel is shown.
+     *
+     * @param {Object} changes - The properties of the panel state to change.
+     */
+    function updatePanelState(changes) {
+        panelState = { ...panelState, ...changes };
+        applyPanelState();
+        savePanelState(panelState);
+    }
+
+    /**
+     * Renders the group information panel with its header and empty sections, and fills the sections
+     * with the given groups, including total time, gap time, overlap time and a visual timeline for each group.
      *
      * @param {Array<Object>} groupedRows - An array of group objects, each containing information
      *   about the group's header row element ID, total time, total gap time in milliseconds,
      *   total overlap time in milliseconds, and other relevant properties.
      */
     function renderGroupInfo(groupedRows) {
-        const maxGroupTotalTime = getMaxGroupTotalTime(groupedRows);
-        const contentContainerElement = document.getElementById("wrapperDiv");
-        const groupInfoElement = document.createElement("div");
-        groupInfoElement.id = "gapsNLapsContainer";
-        groupInfoElement.style.border = "1px solid var(--atl-color-grey-20)";
-        groupInfoElement.style.borderRadius = "4px";
-        groupInfoElement.style.backgroundColor = "#FFF";
-        groupInfoElement.style.color = "var(--atl-color-grey-100)";
-        groupInfoElement.style.marginBottom = "16px";
-
-        const groupInfoTitleElement = document.createElement("div");
-        groupInfoTitleElement.style.display = "inline-block";
-        groupInfoTitleElement.style.margin = "6px 24px 6px 0";
-        groupInfoTitleElement.style.padding = "10px 24px";
-        groupInfoTitleElement.style.fontSize = "20px";
-        groupInfoTitleElement.style.lineHeight = "24px";
-        groupInfoTitleElement.style.fontWeight = "400";
-        groupInfoTitleElement.style.color = "var(--atl-color-grey-100)";
-        groupInfoTitleElement.style.fontFamily = "Rubik,Helvetica,Arial,'sans-serif'";
-        groupInfoTitleElement.textContent = "Gaps N' Laps";
-        groupInfoElement.appendChild(groupInfoTitleElement);
-
-        const refreshButton = document.createElement("button");
-        refreshButton.textContent = "🔄 Uppfräsk!";
-        refreshButton.style.backgroundColor = "transparent";
-        refreshButton.style.border = "none";
-        refreshButton.style.borderRadius = "4px";
-        refreshButton.style.height = "36px";
-        refreshButton.style.margin = "10px 24px";
-        refreshButton.style.cursor = "pointer";
-        refreshButton.style.minWidth = "64px";
-        refreshButton.style.padding = "0px 16px";
-        refreshButton.style.fontSize = "15px";
-        refreshButton.style.fontWeight = "500";
-        refreshButton.style.letterSpacing = "0";
-        refreshButton.style.textAlign = "center";
-        refreshButton.style.lineHeight = "36px";
-        refreshButton.style.verticalAlign = "middle";
-        refreshButton.style.color = "var(--tlx-theme-link-color)";
-        refreshButton.style.fontFamily = "Rubik,Helvetica,Arial,'sans-serif'";
-        refreshButton.style.float = "right";
-        refreshButton.onclick = () => {
-            const timeReportTable = document.getElementById("timeReportTable");
-
-            if (timeReportTable) {
-                const existingContainer = document.getElementById("gapsNLapsContainer");
-                if (existingContainer) {
-                    existingContainer.remove();
+        const contentContainerElement = document.querySelector(pageAdapter.mountPointSelector);
+        const { host, root } = createShadowHost("gapsNLapsContainer");
+
+        const panelElement = document.createElement("div");
+        panelElement.id = "panel";
+        panelElement.className = "panel";
+        panelElement.setAttribute("role", "region");
+        panelElement.setAttribute("aria-label", getMessage("extensionName"));
+
+        const headerElement = document.createElement("div");
+        headerElement.className = "panel-header";
+
+        const collapseButton = document.createElement("button");
+        collapseButton.type = "button";
+        collapseButton.id = "collapseButton";
+        collapseButton.className = "collapse-button";
+        collapseButton.setAttribute("aria-controls", "panelBody");
+        collapseButton.onclick = () => updatePanelState({ collapsed: !panelState.collapsed });
+        headerElement.appendChild(collapseButton);
+
+        const titleElement = document.createElement("div");
+        titleElement.className = "panel-title";
+        titleElement.textContent = getMessage("extensionName");
+        headerElement.appendChild(titleElement);
+
+        const compactButton = renderHeaderButton(getMessage("compactView"), () => updatePanelState({ compact: !panelState.compact }));
+        compactButton.id = "compactButton";
+        compactButton.title = getMessage("compactViewTitle");
+        headerElement.appendChild(compactButton);
+
+        const reportButton = renderHeaderButton(getMessage("reportButton"), () => openReport(reportButton));
+        reportButton.title = getMessage("reportButtonTitle");
+        headerElement.appendChild(reportButton);
+
+        // The export buttons read the current groups when clicked, since the panel is updated in place
+        headerElement.appendChild(
+            renderHeaderButton("📅 iCal", () =>
+                downloadFile(getExportFileName(currentGroupedRows, "ics"), groupsToICalendar(currentGroupedRows), "text/calendar;charset=utf-8")
+            )
+        );
+        headerElement.appendChild(
+            renderHeaderButton("📦 JSON", () =>
+                downloadFile(
+                    getExportFileName(currentGroupedRows, "json"),
+                    JSON.stringify(groupsToJson(currentGroupedRows), null, 2),
+                    "application/json"
+                )
+            )
+        );
+        headerElement.appendChild(
+            // Prefix with a byte order mark so that Excel detects the encoding
+            renderHeaderButton("📄 CSV", () =>
+                downloadFile(getExportFileName(currentGroupedRows, "csv"), "\uFEFF" + groupsToCsv(currentGroupedRows), "text/csv;charset=utf-8")
+            )
+        );
+        panelElement.appendChild(headerElement);
+
+        const bodyElement = document.createElement("div");
+        bodyElement.id = "panelBody";
+        bodyElement.className = "panel-body";
+
+        const summaryElement = document.createElement("div");
+        summaryElement.id = "summary";
+        bodyElement.appendChild(summaryElement);
+
+        bodyElement.appendChild(renderTimelineToolbar());
+
+        // The column names are repeated for screen readers in each cell, so the header is only shown
+        const tableHeaderElement = document.createElement("div");
+        tableHeaderElement.className = "table-header";
+        tableHeaderElement.setAttribute("aria-hidden", "true");
+        ["columnDay", "columnOverlap", "columnPause", "columnTime", "columnRegistered", "columnTimeline"].forEach((messageKey) => {
+            const headerCell = document.createElement("div");
+            headerCell.textContent = getMessage(messageKey);
+            tableHeaderElement.appendChild(headerCell);
+        });
+        tableHeaderElement.lastChild.className = "timeline-cell";
+        bodyElement.appendChild(tableHeaderElement);
+
+        const groupsElement = document.createElement("div");
+        groupsElement.id = "groups";
+        groupsElement.setAttribute("role", "list");
+        groupsElement.setAttribute("aria-label", getMessage("daysLabel"));
+        bodyElement.appendChild(groupsElement);
+
+        // Shown instead of the days when chosen in the toolbar
+        const heatmapElement = document.createElement("div");
+        heatmapElement.id = "heatmap";
+        heatmapElement.className = "heatmap-container";
+        bodyElement.appendChild(heatmapElement);
+
+        const breakdownElement = document.createElement("div");
+        breakdownElement.id = "breakdown";
+        bodyElement.appendChild(breakdownElement);
+
+        panelElement.appendChild(bodyElement);
+        root.appendChild(panelElement);
+        contentContainerElement.appendChild(host);
+
+        applyPanelState();
+        updateGroupInfo(groupedRows);
+    }
+
+    /**
+     * Returns a stable, unique ID for a table row, used to notice when Tripletex replaces rows.
+     *
+     * @param {HTMLTableRowElement} row - The table row.
+     * @returns {number} The row ID.
+     */
+    function getTableRowId(row) {
+        if (!tableRowIds.has(row)) {
+            tableRowIds.set(row, nextTableRowId++);
+        }
+        return tableRowIds.get(row);
+    }
+
+    /**
+     * Returns a string describing everything that is shown for a group, so that unchanged groups can be left as they are.
+     *
+     * @param {Object} group - The group object.
+     * @param {Object} timelineLayout - The layout from `getTimelineLayout`.
+     * @param {Array<Object>} groupViolations - The working-hours rule violations reported on the group.
+     * @returns {string} The render signature of the group.
+     */
+    function getGroupRenderSignature(group, timelineLayout, groupViolations) {
+        return JSON.stringify([
+            group.dayString,
+            group.date && group.date.getTime(),
+            getGroupExpectedTime(group),
+            timelineLayout,
+            group.intervals.map((interval) => [
+                +interval.startTime,
+                +interval.stopTime,
+                interval.running,
+                interval.activity,
+                interval.color,
+                getTableRowId(interval.rowElement)
+            ]),
+            group.entries.map((entry) => [entry.activity, entry.registeredTimeMs, entry.intervalTimeMs, getTableRowId(entry.rowElement)]),
+            groupViolations.map((violation) => [violation.rule.id, violation.message])
+        ]);
+    }
+
+    /**
+     * Renders a cell of a day row, starting with the column name for screen readers, since the table header is not read.
+     *
+     * @param {string} columnMessageKey - The message with the column name.
+     * @param {HTMLElement} contentElement - The content of the cell.
+     * @returns {HTMLDivElement} The rendered cell.
+     */
+    function renderDayCell(columnMessageKey, contentElement) {
+        const cell = document.createElement("div");
+        cell.append(renderVisuallyHiddenElement(`${getMessage(columnMessageKey)}: `), contentElement);
+        return cell;
+    }
+
+    /**
+     * Renders the summary row of a group together with its entry details and working-hours rule badges.
+     *
+     * @param {Object} group - The group object.
+     * @param {Object} timelineLayout - The layout from `getTimelineLayout`.
+     * @param {Array<Object>} groupViolations - The working-hours rule violations reported on the group.
+     * @returns {HTMLDivElement} The rendered group element.
+     */
+    function renderGroupElement(group, timelineLayout, groupViolations) {
+        const groupElement = document.createElement("div");
+        groupElement.className = "day";
+        groupElement.dataset.groupId = group.headerRowElementId;
+        groupElement.setAttribute("role", "listitem");
+
+        const row = document.createElement("div");
+        row.className = "day-row";
+
+        // Date cell
+        const dateCell = document.createElement("div");
+        dateCell.className = "date-cell";
+        dateCell.textContent = group.dayString || (group.date ? formatLongDate(group.date) : getMessage("unknownDay"));
+        if (group.date) {
+            dateCell.title = formatLongDate(group.date);
+        }
+        row.appendChild(dateCell);
+
+        // Overlap time cell
+        const overlapCell = renderDayCell("columnOverlap", renderOverlapTimeElement(group.totalOverlapTimeMs));
+        if (group.overlappingPairs.length > 0) {
+            overlapCell.title = group.overlappingPairs
+                .map(
+                    (pair) => `${formatClockTime(pair.startTime)}–${formatClockTime(pair.stopTime)}: ${pair.first.activity} / ${pair.second.activity}`
+                )
+                .join("\n");
+        }
+        row.appendChild(overlapCell);
+
+        // Gap time cell
+        row.appendChild(renderDayCell("columnPause", renderGapTimeElement(group.totalGapTimeMs)));
+
+        // Total time cell
+        row.appendChild(renderDayCell("columnTime", renderTotalTimeElement(group.totalTime, getGroupExpectedTime(group), group.hasOpenStopwatch)));
+
+        // Registered time cell
+        row.appendChild(renderDayCell("columnRegistered", renderRegisteredTimeElement(group)));
+
+        // Timeline cell, taking more space than the others
+        const timelineCell = document.createElement("div");
+        timelineCell.className = "timeline-cell";
+        timelineCell.appendChild(renderSvgTimeline(group, timelineLayout, (interval) => highlightTableRow(interval.rowElement), setTimelineZoom));
+        row.appendChild(timelineCell);
+
+        groupElement.appendChild(row);
+
+        // The details are hidden in compact mode
+        [renderEntryDetailsElement(group), renderGapInspectorElement(group), renderComplianceBadgesElement(groupViolations)]
+            .filter(Boolean)
+            .forEach((element) => groupElement.appendChild(element));
+
+        return groupElement;
+    }
+
+    /**
+     * Updates the group information panel in place. Only the groups whose signature changed are rendered again;
+     * the compliance summary, the heatmap and the activity breakdown are replaced, keeping the breakdown open if it was.
+     *
+     * @param {Array<Object>} groupedRows - An array of group objects.
+     */
+    function updateGroupInfo(groupedRows) {
+        currentGroupedRows = groupedRows;
+        const timelineLayout = getTimelineLayout(groupedRows, settings.sharedTimeScale, timelineZoom);
+        const violations = evaluateCompliance(groupedRows, settings.complianceRules);
+
+        getPanelElement("summary").replaceChildren(renderComplianceSummaryElement(violations));
+        updateTimelineToolbar();
+
+        const groupInfoTableBody = getPanelElement("groups");
+        const existingElements = new Map(Array.from(groupInfoTableBody.children, (element) => [element.dataset.groupId, element]));
+        groupedRows.forEach((group, index) => {
+            const groupViolations = violations.filter((violation) => violation.group === group);
+            const signature = getGroupRenderSignature(group, timelineLayout, groupViolations);
+
+            let groupElement = existingElements.get(group.headerRowElementId);
+            if (!groupElement || groupElementSignatures.get(groupElement) !== signature) {
+                groupElement = renderGroupElement(group, timelineLayout, groupViolations);
+                groupElementSignatures.set(groupElement, signature);
+            }
+            existingElements.delete(group.headerRowElementId);
+
+            const elementAtIndex = groupInfoTableBody.children[index];
+            if (elementAtIndex !== groupElement) {
+                if (elementAtIndex && elementAtIndex.dataset.groupId === group.headerRowElementId) {
+                    elementAtIndex.replaceWith(groupElement);
+                } else {
+                    groupInfoTableBody.insertBefore(groupElement, elementAtIndex || null);
                 }
-                onTableLoaded(timeReportTable);
             }
-        };
-        groupInfoElement.appendChild(refreshButton);
-
-        const groupInfoTableHeader = document.createElement("div");
-        const tableHeaderCellStyle =
-            "font-size: 13px; line-height: 18px; font-weight: 500; font-family: Rubik, Helvetica, Arial, sans-serif; color: #666; background: var(--tlx-theme-pastel-color); padding-top: 16px; padding-bottom: 8px;";
-        groupInfoTableHeader.style.display = "flex";
-        groupInfoTableHeader.style.borderBottom = "1px solid #ddd";
-        groupInfoTableHeader.innerHTML = `
-        <div style="${tableHeaderCellStyle} flex: 1; padding-left: 24px; padding-right: 8px;">Dag</div>
-        <div style="${tableHeaderCellStyle} flex: 1; padding-left: 8px; padding-right: 8px;">Overlapp</div>
-        <div style="${tableHeaderCellStyle} flex: 1; padding-left: 8px; padding-right: 8px;">Pause</div>
-        <div style="${tableHeaderCellStyle} flex: 1; padding-left: 8px; padding-right: 8px;">Tid</div>
-        <div style="${tableHeaderCellStyle} flex: 3; padding-left: 8px; padding-right: 24px;">Tidslinje</div>
-    `;
-        groupInfoElement.appendChild(groupInfoTableHeader);
-
-        const groupInfoTableBody = document.createElement("div");
-
-        groupedRows.forEach((group) => {
-            const row = document.createElement("div");
-            row.style.display = "flex";
-            row.style.alignItems = "center";
-            row.style.padding = "8px 0";
-            row.style.borderBottom = "1px solid #ddd";
-            row.style.padding = "10px 24px";
-
-            // Date cell
-            const dateCell = document.createElement("div");
-            dateCell.style.flex = "1";
-            dateCell.style.fontWeight = "500";
-            dateCell.style.color = "#666";
-            dateCell.textContent = group.dayString || "Ukjent dag";
-            row.appendChild(dateCell);
-
-            // Overlap time cell
-            const overlapCell = document.createElement("div");
-            overlapCell.style.flex = "1";
-            overlapCell.appendChild(renderOverlapTimeElement(group.totalOverlapTimeMs));
-            row.appendChild(overlapCell);
-
-            // Gap time cell
-            const gapCell = document.createElement("div");
-            gapCell.style.flex = "1";
-            gapCell.appendChild(renderGapTimeElement(group.totalGapTimeMs));
-            row.appendChild(gapCell);
-
-            // Total time cell
-            const totalTimeCell = document.createElement("div");
-            totalTimeCell.style.flex = "1";
-            totalTimeCell.appendChild(renderTotalTimeElement(group.totalTime));
-            row.appendChild(totalTimeCell);
-
-            // Timeline cell
-            const timelineCell = document.createElement("div");
-            timelineCell.style.flex = "3"; // Make timeline take more space
-            timelineCell.appendChild(renderSvgTimeline(group, maxGroupTotalTime));
-            row.appendChild(timelineCell);
-
-            groupInfoTableBody.appendChild(row);
         });
+        existingElements.forEach((element) => element.remove());
+
+        getPanelElement("heatmap").replaceChildren(renderHeatmap(getWeekdayHourHeatmap(groupedRows)));
 
-        groupInfoElement.appendChild(groupInfoTableBody);
+        sendSummaryToBackground(groupedRows, violations);
+        updateRunningStopwatchTicker(groupedRows);
 
-        contentContainerElement.appendChild(groupInfoElement);
+        const breakdownContainer = getPanelElement("breakdown");
+        const wasBreakdownOpen = Boolean(breakdownContainer.querySelector("details")?.open);
+        const breakdownElement = renderActivityBreakdownElement(groupedRows);
+        breakdownElement.open = wasBreakdownOpen;
+        breakdownContainer.replaceChildren(breakdownElement);
     }
 
     /**
-     * Observes DOM mutations and triggers a callback when the element with ID "timeReportTable" is added to the DOM.
-     * Marks the element as "seen" using a custom data attribute to prevent duplicate triggers.
-     * Removes the "seen" flag if the element is removed from the DOM, allowing retriggering when it reappears.
+     * Returns the warnings for a group as short texts: working-hours rule violations, pause or overlap
+     * above the configured limits, and registered hours differing from the stopwatch.
      *
-     * @param {MutationRecord[]} mutationsList - List of mutations observed in the DOM.
+     * @param {Object} group - The group object.
+     * @param {Array<Object>} groupViolations - The working-hours rule violations reported on the group.
+     * @returns {Array<{severity: string, text: string}>} The warnings of the group.
      */
-    const observer = new MutationObserver((mutationsList) => {
-        for (const mutation of mutationsList) {
-            // Check if element exists in the DOM right now
-            const element = document.getElementById("timeReportTable");
+    function getGroupWarnings(group, groupViolations) {
+        const warnings = groupViolations.map((violation) => ({
+            severity: violation.rule.severity,
+            text: `${violation.rule.label}: ${violation.message}`
+        }));
+        const allowedPauseMs = settings.allowedPauseMinutes * 60 * 1000;
+        if (group.totalGapTimeMs > allowedPauseMs) {
+            warnings.push({
+                severity: "warning",
+                text: getMessage("warningPause", [formatDuration(group.totalGapTimeMs), formatDuration(group.totalGapTimeMs - allowedPauseMs)])
+            });
+        }
+        const overlapToleranceMs = settings.overlapToleranceMinutes * 60 * 1000;
+        if (group.totalOverlapTimeMs > overlapToleranceMs) {
+            warnings.push({
+                severity: "warning",
+                text: getMessage("warningOverlap", [
+                    formatDuration(group.totalOverlapTimeMs),
+                    formatDuration(group.totalOverlapTimeMs - overlapToleranceMs)
+                ])
+            });
+        }
+        if (isDiscrepancyOutsideTolerance(group.discrepancyMs)) {
+            warnings.push({ severity: "warning", text: getMessage("warningDiscrepancy", formatSignedDuration(group.discrepancyMs)) });
+        }
+        return warnings;
+    }
+
+    /**
+     * Opens a printable report of the loaded period, with the same figures, timelines and warnings as the panel.
+     *
+     * @param {HTMLButtonElement} button - The report button, used to tell if the browser blocked the report window.
+     */
+    function openReport(button) {
+        const violations = evaluateCompliance(currentGroupedRows, settings.complianceRules);
+        const isOpened = openPrintableReport({
+            viewLabel: pageAdapter.label,
+            period: getPagePeriod(),
+            timelineLayout: getTimelineLayout(currentGroupedRows, settings.sharedTimeScale),
+            days: currentGroupedRows.map((group) => ({
+                group,
+                expectedTimeMs: getGroupExpectedTime(group),
+                warnings: getGroupWarnings(
+                    group,
+                    violations.filter((violation) => violation.group === group)
+                )
+            }))
+        });
+        if (!isOpened) {
+            flashButtonText(button, getMessage("reportBlocked"));
+        }
+    }
+
+    /**
+     * Sends a summary of the loaded period to the background worker, which makes it available to the popup
+     * and saves its days to the history. The panel is also updated when zooming and while a stopwatch is running,
+     * so the summary is only sent when it differs from the one sent last.
+     *
+     * @param {Array<Object>} groupedRows - An array of group objects.
+     * @param {Array<Object>} violations - The working-hours rule violations of the period.
+     */
+    function sendSummaryToBackground(groupedRows, violations) {
+        const { days } = groupsToJson(groupedRows);
+        days.forEach((day, index) => {
+            const group = groupedRows[index];
+            day.expectedTimeMs = getGroupExpectedTime(group);
+            day.warnings = getGroupWarnings(
+                group,
+                violations.filter((violation) => violation.group === group)
+            );
+        });
+
+        // The period lets the background worker tell days without entries apart from days outside the period
+        const pagePeriod = getPagePeriod();
+        const period = pagePeriod ? { start: toDateKey(pagePeriod.start), end: toDateKey(pagePeriod.end) } : null;
+
+        // The language lets the popup and notifications match the language of the warnings
+        const language = getLanguage();
+        const serializedSummary = JSON.stringify({ language, period, days });
+        if (serializedSummary === lastSentSummary) return;
+        lastSentSummary = serializedSummary;
+
+        const resendNextTime = () => {
+            lastSentSummary = null;
+        };
+        try {
+            // The background worker may not be listening, e.g. right after the extension is reloaded
+            chrome.runtime
+                .sendMessage({ type: "TABLE_LOADED", summary: { updatedAt: new Date().toISOString(), language, period, days } })
+                .catch(resendNextTime);
+        } catch {
+            // Once the extension is updated or removed, this script is cut off from it until the page is reloaded
+            resendNextTime();
+        }
+    }
+
+    /**
+     * Re-reads the watched time report table and updates the panel with the groups that changed.
+     */
+    function onTableChanged() {
+        if (watchedTable && document.getElementById("gapsNLapsDiagnostic")) {
+            // The rows may have become recognisable, e.g. when Tripletex fills in the table in several steps
+            onTableLoaded(watchedTable);
+            return;
+        }
+        if (!watchedTable || !document.getElementById("gapsNLapsContainer")) return;
+        updateGroupInfo(readGroups(watchedTable));
+    }
+
+    /**
+     * Keeps the panel updating at a regular interval while a stopwatch is running, and stops once none is.
+     *
+     * @param {Array<Object>} groupedRows - The groups currently shown in the panel.
+     */
+    function updateRunningStopwatchTicker(groupedRows) {
+        const hasRunningStopwatch = groupedRows.some((group) => group.hasOpenStopwatch);
+        if (hasRunningStopwatch && !runningStopwatchInterval) {
+            runningStopwatchInterval = setInterval(onTableChanged, RUNNING_STOPWATCH_TICK_MS);
+        } else if (!hasRunningStopwatch && runningStopwatchInterval) {
+            clearInterval(runningStopwatchInterval);
+            runningStopwatchInterval = null;
+        }
+    }
+
+    /**
+     * Observes the rows of the time report table and updates the panel once a burst of changes has settled.
+     *
+     * @param {HTMLTableElement} table - The table element containing the time report rows.
+     * @param {HTMLTableSectionElement} tbody - The table body element containing the time report rows.
+     */
+    function watchTableBody(table, tbody) {
+        if (tbodyObserver) {
+            tbodyObserver.disconnect();
+        }
+        watchedTable = table;
+        watchedTbody = tbody;
+        tbodyObserver = new MutationObserver(() => {
+            clearTimeout(tableUpdateTimeout);
+            tableUpdateTimeout = setTimeout(onTableChanged, TABLE_UPDATE_DEBOUNCE_MS);
+        });
+        tbodyObserver.observe(tbody, {
+            childList: true,
+            subtree: true,
+            characterData: true
+        });
+        observePage();
+    }
 
-            if (element && !element.dataset._seen) {
-                element.dataset._seen = "true"; // Mark as seen
-                onTableLoaded(element);
+    /**
+     * Observes the page for the time report table being added, replaced or removed, which happens when
+     * Tripletex navigates between periods without reloading the page. Changes inside the table are
+     * handled by the observer set up in `watchTableBody`.
+     */
+    const pageObserver = new MutationObserver(() => {
+        const timeReportTable = document.querySelector(pageAdapter.tableSelector);
+        const tbody = timeReportTable ? timeReportTable.querySelector("tbody") : null;
+        if (tbody === watchedTbody) {
+            // The table may have been moved, which changes the ancestors to observe
+            if (watchedTable) {
+                observePage();
             }
+            return;
+        }
 
-            // If element disappears, reset flag so we can retrigger later
-            if (!element) {
-                const oldElement = document.querySelector('[data-_seen="true"]');
-                if (oldElement) {
-                    oldElement.removeAttribute("data-_seen");
-                }
+        if (tbody) {
+            onTableLoaded(timeReportTable);
+        } else {
+            if (tbodyObserver) {
+                tbodyObserver.disconnect();
             }
+            watchedTable = null;
+            watchedTbody = null;
+            observePage();
+        }
+    });
+
+    /**
+     * Points the page observer at where the time report table can be added, replaced or removed.
+     * Until a table is watched, the whole page is observed. Once one is, only the children of the table and of
+     * its ancestors are, so that changes to the rows and to the rest of the page do not each make it look for the table.
+     */
+    function observePage() {
+        pageObserver.disconnect();
+        if (!watchedTable || !watchedTable.isConnected) {
+            pageObserver.observe(document.body, {
+                childList: true,
+                subtree: true
+            });
+            return;
+        }
+        for (let element = watchedTable; element !== document.documentElement; element = element.parentElement) {
+            pageObserver.observe(element, { childList: true });
+        }
+    }
+
+    observePage();
+
+    // The table is added by Tripletex after the page has loaded, so only report a missing table after a while
+    setTimeout(() => {
+        if (document.getElementById("gapsNLapsContainer")) return;
+        const problems = diagnosePageLayout(pageAdapter, document);
+        if (problems.length > 0) {
+            renderLayoutDiagnostic(problems);
+        }
+    }, LAYOUT_DIAGNOSTIC_DELAY_MS);
+
+    /**
+     * Removes the current group information panel and renders it again from the time report table, if present.
+     */
+    function refreshGroupInfo() {
+        const timeReportTable = document.querySelector(pageAdapter.tableSelector);
+
+        if (timeReportTable) {
+            onTableLoaded(timeReportTable);
+        }
+    }
+
+    /**
+     * Replaces the settings in effect and sets the language and duration format they select.
+     * With the language set to "auto", the panel follows the language of the Tripletex page, then that of the browser.
+     *
+     * @param {Object} newSettings - The complete settings object.
+     */
+    function applySettings(newSettings) {
+        // A zoom is a part of the time scale, so it does not carry over to the other one
+        if (newSettings.sharedTimeScale !== settings.sharedTimeScale) {
+            timelineZoom = null;
+        }
+        settings = newSettings;
+        setLanguage(resolveLanguage(settings.language, document.documentElement.lang, chrome.i18n.getUILanguage()));
+        setDurationFormat(settings.durationFormat);
+    }
+
+    applySettings(settings);
+
+    loadSettings().then((loadedSettings) => {
+        applySettings(loadedSettings);
+        if (document.getElementById("gapsNLapsContainer")) {
+            refreshGroupInfo();
+        }
+    });
+
+    onSettingsChanged((changedSettings) => {
+        applySettings(changedSettings);
+        if (document.getElementById("gapsNLapsContainer")) {
+            refreshGroupInfo();
+        }
+    });
+
+    loadPanelState().then((loadedPanelState) => {
+        panelState = loadedPanelState;
+        applyPanelState();
+    });
+
+    // Tripletex switches theme by changing the classes or styles of the root elements, or by following the system setting
+    const themeObserver = new MutationObserver(updatePanelTheme);
+    [document.documentElement, document.body].forEach((element) =>
+        themeObserver.observe(element, { attributes: true, attributeFilter: ["class", "style", "data-theme"] })
+    );
+    window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", updatePanelTheme);
+
+    loadActivityColorOverrides().then((loadedOverrides) => {
+        activityColorOverrides = loadedOverrides;
+        if (document.getElementById("gapsNLapsContainer")) {
+            refreshGroupInfo();
         }
     });
 
-    observer.observe(document.body, {
-        childList: true,
-        subtree: true
+    onActivityColorOverridesChanged((changedOverrides) => {
+        activityColorOverrides = changedOverrides;
+        if (document.getElementById("gapsNLapsContainer")) {
+            refreshGroupInfo();
+        }
     });
 
+    /**
+     * Shows that the page layout was not recognised, instead of the panel, so that a Tripletex markup change
+     * does not go unnoticed. The diagnostic is added to the mount point if found, otherwise to the top of the page.
+     *
+     * @param {Array<string>} problems - Descriptions of what was not found, from `diagnosePageLayout`.
+     */
+    function renderLayoutDiagnostic(problems) {
+        const existingDiagnostic = document.getElementById("gapsNLapsDiagnostic");
+        if (existingDiagnostic) {
+            existingDiagnostic.remove();
+        }
+
+        const { host, root } = createShadowHost("gapsNLapsDiagnostic");
+        const diagnosticElement = document.createElement("div");
+        diagnosticElement.className = "diagnostic";
+
+        const titleElement = document.createElement("strong");
+        titleElement.textContent = getMessage("diagnosticTitle");
+        diagnosticElement.appendChild(titleElement);
+
+        const descriptionElement = document.createElement("p");
+        descriptionElement.textContent = getMessage("diagnosticDescription", pageAdapter.label.toLowerCase());
+        diagnosticElement.appendChild(descriptionElement);
+
+        const problemsList = document.createElement("ul");
+        problems.forEach((problem) => {
+            const item = document.createElement("li");
+            item.textContent = problem;
+            problemsList.appendChild(item);
+        });
+        diagnosticElement.appendChild(problemsList);
+        root.appendChild(diagnosticElement);
+
+        const mountPoint = document.querySelector(pageAdapter.mountPointSelector);
+        if (mountPoint) {
+            mountPoint.appendChild(host);
+        } else {
+            document.body.prepend(host);
+        }
+    }
+
     /**
      * Handles the event when the time report table is loaded.
-     * Groups the table rows and renders group information.
+     * Groups the table rows, renders group information and starts watching the rows for changes.
+     * Shows a diagnostic instead of the panel if the page adapter does not recognise the layout.
      *
      * @param {HTMLTableElement} timeReportTable - The table element containing the time report data.
      */
     function onTableLoaded(timeReportTable) {
+        ["gapsNLapsContainer", "gapsNLapsDiagnostic"].forEach((elementId) => {
+            const existingElement = document.getElementById(elementId);
+            if (existingElement) {
+                existingElement.remove();
+            }
+        });
+
         const tbody = timeReportTable.querySelector("tbody");
-        const groupedRows = groupTableRows(tbody);
-        renderGroupInfo(groupedRows);
+        watchTableBody(timeReportTable, tbody);
+
+        const problems = diagnosePageLayout(pageAdapter, document);
+        if (problems.length > 0) {
+            renderLayoutDiagnostic(problems);
+            return;
+        }
+
+        renderGroupInfo(readGroups(timeReportTable));
     }
 })();
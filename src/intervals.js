@@ -0,0 +1,153 @@
+/**
+ * Interval algebra for time intervals with `startTime` and `stopTime` properties.
+ *
+ * All functions accept intervals in any order, do not modify their input and return new interval objects
+ * with `startTime` and `stopTime` as Date objects, sorted by start time.
+ */
+
+/**
+ * Returns the duration of an interval in milliseconds.
+ *
+ * @param {{startTime: Date, stopTime: Date}} interval - The interval.
+ * @returns {number} The duration in milliseconds.
+ */
+export function getIntervalDuration(interval) {
+    return interval.stopTime - interval.startTime;
+}
+
+/**
+ * Returns the total duration of a list of intervals in milliseconds, counting overlapping time once per interval.
+ *
+ * @param {Array<{startTime: Date, stopTime: Date}>} intervals - The intervals.
+ * @returns {number} The summed duration in milliseconds.
+ */
+export function getTotalDuration(intervals) {
+    return intervals.reduce((total, interval) => total + getIntervalDuration(interval), 0);
+}
+
+/**
+ * Builds the sorted list of start (+1) and stop (-1) events for a sweep over the intervals.
+ * Stop events are sorted before start events at the same time, so touching intervals do not count as overlapping.
+ *
+ * @param {Array<{startTime: Date, stopTime: Date}>} intervals - The intervals.
+ * @returns {Array<{time: number, delta: number}>} The sorted events.
+ */
+function getSweepEvents(intervals) {
+    const events = [];
+    intervals.forEach((interval) => {
+        if (interval.stopTime > interval.startTime) {
+            events.push({ time: +interval.startTime, delta: 1 });
+            events.push({ time: +interval.stopTime, delta: -1 });
+        }
+    });
+    return events.sort((a, b) => a.time - b.time || a.delta - b.delta);
+}
+
+/**
+ * Returns the regions where at least `minDepth` intervals are active at the same time.
+ *
+ * @param {Array<{startTime: Date, stopTime: Date}>} intervals - The intervals.
+ * @param {number} minDepth - The minimum number of simultaneously active intervals.
+ * @returns {Array<{startTime: Date, stopTime: Date}>} The merged regions, sorted by start time.
+ */
+function getRegionsWithDepth(intervals, minDepth) {
+    const regions = [];
+    let depth = 0;
+    let regionStart = null;
+
+    getSweepEvents(intervals).forEach(({ time, delta }) => {
+        const previousDepth = depth;
+        depth += delta;
+        if (previousDepth < minDepth && depth >= minDepth) {
+            regionStart = time;
+        } else if (previousDepth >= minDepth && depth < minDepth) {
+            const lastRegion = regions[regions.length - 1];
+            if (lastRegion && +lastRegion.stopTime === regionStart) {
+                lastRegion.stopTime = new Date(time);
+            } else if (time > regionStart) {
+                regions.push({ startTime: new Date(regionStart), stopTime: new Date(time) });
+            }
+        }
+    });
+    return regions;
+}
+
+/**
+ * Returns the union of the intervals, i.e. the time covered by at least one interval.
+ *
+ * @param {Array<{startTime: Date, stopTime: Date}>} intervals - The intervals.
+ * @returns {Array<{startTime: Date, stopTime: Date}>} The disjoint covered regions, sorted by start time.
+ */
+export function getIntervalUnion(intervals) {
+    return getRegionsWithDepth(intervals, 1);
+}
+
+/**
+ * Returns the intersection of two lists of intervals, i.e. the time covered by both lists.
+ *
+ * @param {Array<{startTime: Date, stopTime: Date}>} intervalsA - The first list of intervals.
+ * @param {Array<{startTime: Date, stopTime: Date}>} intervalsB - The second list of intervals.
+ * @returns {Array<{startTime: Date, stopTime: Date}>} The disjoint regions covered by both lists, sorted by start time.
+ */
+export function getIntervalIntersection(intervalsA, intervalsB) {
+    return getRegionsWithDepth([...getIntervalUnion(intervalsA), ...getIntervalUnion(intervalsB)], 2);
+}
+
+/**
+ * Returns the complement of the intervals within the given span, i.e. the time not covered by any interval.
+ *
+ * @param {Array<{startTime: Date, stopTime: Date}>} intervals - The intervals.
+ * @param {Date} spanStart - The start of the span.
+ * @param {Date} spanStop - The stop of the span.
+ * @returns {Array<{startTime: Date, stopTime: Date}>} The uncovered regions within the span, sorted by start time.
+ */
+export function getIntervalComplement(intervals, spanStart, spanStop) {
+    const complement = [];
+    let cursor = +spanStart;
+    getIntervalUnion(intervals).forEach((region) => {
+        if (+region.startTime > cursor) {
+            complement.push({ startTime: new Date(cursor), stopTime: new Date(Math.min(+region.startTime, +spanStop)) });
+        }
+        cursor = Math.max(cursor, +region.stopTime);
+    });
+    if (cursor < +spanStop) {
+        complement.push({ startTime: new Date(cursor), stopTime: new Date(spanStop) });
+    }
+    return complement.filter((region) => region.stopTime > region.startTime);
+}
+
+/**
+ * Returns the regions where two or more intervals overlap. Time where several intervals overlap is only counted once.
+ *
+ * @param {Array<{startTime: Date, stopTime: Date}>} intervals - The intervals.
+ * @returns {Array<{startTime: Date, stopTime: Date}>} The disjoint overlapping regions, sorted by start time.
+ */
+export function getOverlapRegions(intervals) {
+    return getRegionsWithDepth(intervals, 2);
+}
+
+/**
+ * Returns every pair of intervals that overlap each other, together with the overlapping time.
+ *
+ * @param {Array<{startTime: Date, stopTime: Date}>} intervals - The intervals.
+ * @returns {Array<{first: Object, second: Object, startTime: Date, stopTime: Date}>} The overlapping pairs,
+ *   where `first` starts no later than `second`, sorted by the start of the overlap.
+ */
+export function getOverlappingPairs(intervals) {
+    const sortedIntervals = [...intervals].sort((a, b) => a.startTime - b.startTime || a.stopTime - b.stopTime);
+    const pairs = [];
+    let activeIntervals = [];
+
+    sortedIntervals.forEach((interval) => {
+        // Intervals that stopped before this one starts can not overlap it or any later interval
+        activeIntervals = activeIntervals.filter((activeInterval) => activeInterval.stopTime > interval.startTime);
+        activeIntervals.forEach((activeInterval) => {
+            const stopTime = new Date(Math.min(+activeInterval.stopTime, +interval.stopTime));
+            if (stopTime > interval.startTime) {
+                pairs.push({ first: activeInterval, second: interval, startTime: new Date(interval.startTime), stopTime });
+            }
+        });
+        activeIntervals.push(interval);
+    });
+    return pairs.sort((a, b) => a.startTime - b.startTime);
+}
@@ -0,0 +1,31 @@
+/**
+ * The parts of Gaps N' Laps that do not depend on the browser extension, for use in Node and other tools.
+ * Pages can be parsed with any DOM implementation, such as jsdom, and passed to `analyzeDocument`.
+ */
+export { PAGE_ADAPTERS, detectPageAdapter, diagnosePageLayout, findPageAdapter, readPagePeriod } from "./adapters";
+export {
+    analyzeDocument,
+    getGroupCoveredTime,
+    getGroupGaps,
+    getGroupRegisteredTime,
+    getGroupStartTime,
+    getGroupStopTime,
+    getGroupTotalGapTime,
+    getGroupTotalOverlapTime,
+    getGroupTotalTime,
+    getIntervalsFromString,
+    groupTableRows
+} from "./analysis";
+export { COMPLIANCE_RULES, evaluateCompliance } from "./compliance";
+export { DURATION_FORMATS, formatDuration, setDurationFormat } from "./durations";
+export { groupsToCsv, groupsToICalendar, groupsToJson } from "./export";
+export { LANGUAGES, setLanguage } from "./i18n";
+export {
+    getIntervalComplement,
+    getIntervalIntersection,
+    getIntervalUnion,
+    getOverlapRegions,
+    getOverlappingPairs,
+    getTotalDuration
+} from "./intervals";
+export { DEFAULT_SETTINGS, normalizeSettings } from "./settings";
@@ -0,0 +1,205 @@
+import { COMPLIANCE_RULES } from "./compliance";
+import { toDateKey } from "./dates";
+import { downloadFile } from "./export";
+import { historyToJson, importHistoryDays, loadHistory, parseHistoryJson } from "./history";
+import { formatWeekday, getLanguage, getMessage, localizeElements, resolveLanguage, setLanguage } from "./i18n";
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from "./settings";
+
+(function () {
+    "use strict";
+
+    /**
+     * The weekdays in the order they are shown in the form, as `Date.prototype.getDay()` indexes.
+     */
+    const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+    /**
+     * Renders one number input per weekday for the expected working hours.
+     *
+     * @param {HTMLElement} container - The element to render the inputs into.
+     */
+    function renderWeekdayInputs(container) {
+        WEEKDAYS.forEach((weekday) => {
+            const labelElement = document.createElement("label");
+            const labelText = document.createElement("span");
+            labelText.id = `expectedHoursLabel${weekday}`;
+            labelElement.appendChild(labelText);
+
+            const input = document.createElement("input");
+            input.type = "number";
+            input.min = "0";
+            input.max = "24";
+            input.step = "0.25";
+            input.id = `expectedHours${weekday}`;
+            labelElement.appendChild(input);
+
+            container.appendChild(labelElement);
+        });
+    }
+
+    /**
+     * Renders one checkbox per working-hours rule.
+     *
+     * @param {HTMLElement} container - The element to render the checkboxes into.
+     */
+    function renderComplianceRuleInputs(container) {
+        COMPLIANCE_RULES.forEach((rule) => {
+            const labelElement = document.createElement("label");
+            const labelText = document.createElement("span");
+            labelText.id = `complianceRuleLabel_${rule.id}`;
+            labelElement.appendChild(labelText);
+
+            const input = document.createElement("input");
+            input.type = "checkbox";
+            input.id = `complianceRule_${rule.id}`;
+            labelElement.appendChild(input);
+
+            container.appendChild(labelElement);
+        });
+    }
+
+    /**
+     * Shows the page in the language of the given settings, or the browser language if the setting is "auto",
+     * since the options page has no Tripletex page to follow.
+     *
+     * @param {Object} settings - The settings object.
+     */
+    function applyLanguage(settings) {
+        setLanguage(resolveLanguage(settings.language, chrome.i18n.getUILanguage()));
+        document.documentElement.lang = getLanguage();
+        localizeElements(document);
+        WEEKDAYS.forEach((weekday) => {
+            document.getElementById(`expectedHoursLabel${weekday}`).textContent = formatWeekday(weekday);
+        });
+        COMPLIANCE_RULES.forEach((rule) => {
+            document.getElementById(`complianceRuleLabel_${rule.id}`).textContent = rule.description;
+        });
+    }
+
+    /**
+     * Fills the form with the given settings.
+     *
+     * @param {Object} settings - The settings object to show.
+     */
+    function fillForm(settings) {
+        WEEKDAYS.forEach((weekday) => {
+            document.getElementById(`expectedHours${weekday}`).value = settings.expectedHoursPerWeekday[weekday];
+        });
+        document.getElementById("allowedPauseMinutes").value = settings.allowedPauseMinutes;
+        document.getElementById("overlapToleranceMinutes").value = settings.overlapToleranceMinutes;
+        document.getElementById("discrepancyToleranceMinutes").value = settings.discrepancyToleranceMinutes;
+        document.getElementById("sharedTimeScale").checked = settings.sharedTimeScale;
+        document.getElementById("colorPalette").value = settings.colorPalette;
+        document.getElementById("badgeMode").value = settings.badgeMode;
+        document.getElementById("reminderEnabled").checked = settings.reminderEnabled;
+        document.getElementById("reminderTime").value = settings.reminderTime;
+        document.getElementById("trendWeekCount").value = settings.trendWeekCount;
+        document.getElementById("language").value = settings.language;
+        document.getElementById("durationFormat").value = settings.durationFormat;
+        COMPLIANCE_RULES.forEach((rule) => {
+            document.getElementById(`complianceRule_${rule.id}`).checked = settings.complianceRules[rule.id];
+        });
+    }
+
+    /**
+     * Reads the settings from the form. Empty or invalid fields are passed on as NaN and replaced by defaults when saved.
+     *
+     * @returns {Object} The settings object entered in the form.
+     */
+    function readForm() {
+        const expectedHoursPerWeekday = [];
+        WEEKDAYS.forEach((weekday) => {
+            expectedHoursPerWeekday[weekday] = parseFloat(document.getElementById(`expectedHours${weekday}`).value);
+        });
+        return {
+            expectedHoursPerWeekday,
+            allowedPauseMinutes: parseFloat(document.getElementById("allowedPauseMinutes").value),
+            overlapToleranceMinutes: parseFloat(document.getElementById("overlapToleranceMinutes").value),
+            discrepancyToleranceMinutes: parseFloat(document.getElementById("discrepancyToleranceMinutes").value),
+            sharedTimeScale: document.getElementById("sharedTimeScale").checked,
+            colorPalette: document.getElementById("colorPalette").value,
+            badgeMode: document.getElementById("badgeMode").value,
+            reminderEnabled: document.getElementById("reminderEnabled").checked,
+            reminderTime: document.getElementById("reminderTime").value,
+            trendWeekCount: parseInt(document.getElementById("trendWeekCount").value, 10),
+            language: document.getElementById("language").value,
+            durationFormat: document.getElementById("durationFormat").value,
+            complianceRules: Object.fromEntries(COMPLIANCE_RULES.map((rule) => [rule.id, document.getElementById(`complianceRule_${rule.id}`).checked]))
+        };
+    }
+
+    /**
+     * Shows a short status message below the form.
+     *
+     * @param {string} message - The message to show.
+     * @param {number} [duration] - How long to show the message, in milliseconds.
+     */
+    function showStatus(message, duration = 2000) {
+        const statusElement = document.getElementById("status");
+        statusElement.textContent = message;
+        setTimeout(() => {
+            statusElement.textContent = "";
+        }, duration);
+    }
+
+    /**
+     * Downloads the history of viewed days as a JSON file.
+     */
+    async function exportHistory() {
+        const history = await loadHistory();
+        downloadFile(`gaps-n-laps-historikk-${toDateKey(new Date())}.json`, JSON.stringify(historyToJson(history), null, 2), "application/json");
+    }
+
+    /**
+     * Imports the days of a history file chosen by the user.
+     *
+     * @param {File} file - The chosen file.
+     */
+    async function importHistory(file) {
+        const days = parseHistoryJson(await file.text());
+        if (!days) {
+            showStatus(getMessage("optionsImportInvalid"), 5000);
+            return;
+        }
+        const importedCount = await importHistoryDays(days);
+        showStatus(getMessage("optionsImported", [importedCount, days.length]), 5000);
+    }
+
+    renderWeekdayInputs(document.getElementById("expectedHoursPerWeekday"));
+    renderComplianceRuleInputs(document.getElementById("complianceRules"));
+    loadSettings().then((settings) => {
+        applyLanguage(settings);
+        fillForm(settings);
+    });
+
+    document.getElementById("settingsForm").addEventListener("submit", (event) => {
+        event.preventDefault();
+        saveSettings(readForm())
+            .then(loadSettings)
+            .then((settings) => {
+                applyLanguage(settings);
+                fillForm(settings);
+                showStatus(getMessage("optionsSaved"));
+            });
+    });
+
+    document.getElementById("exportHistoryButton").addEventListener("click", exportHistory);
+
+    const importHistoryFileInput = document.getElementById("importHistoryFile");
+    document.getElementById("importHistoryButton").addEventListener("click", () => importHistoryFileInput.click());
+    importHistoryFileInput.addEventListener("change", () => {
+        const [file] = importHistoryFileInput.files;
+        importHistoryFileInput.value = "";
+        if (file) {
+            importHistory(file);
+        }
+    });
+
+    document.getElementById("resetButton").addEventListener("click", () => {
+        saveSettings(DEFAULT_SETTINGS).then(() => {
+            applyLanguage(DEFAULT_SETTINGS);
+            fillForm(DEFAULT_SETTINGS);
+            showStatus(getMessage("optionsResetDone"));
+        });
+    });
+})();
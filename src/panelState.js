@@ -0,0 +1,40 @@
+/**
+ * How the panel is shown. Remembered per browser in `chrome.storage.local`, since it depends on the screen it is used on.
+ *
+ * @typedef {Object} PanelState
+ * @property {boolean} collapsed - Whether only the header of the panel is shown.
+ * @property {boolean} compact - Whether each day is shown on a single line, without details below it.
+ * @property {boolean} heatmap - Whether the heatmap of weekdays and hours is shown instead of the days.
+ */
+
+/**
+ * The panel state used until the user has collapsed the panel or chosen the compact mode or the heatmap.
+ *
+ * @type {PanelState}
+ */
+export const DEFAULT_PANEL_STATE = Object.freeze({ collapsed: false, compact: false, heatmap: false });
+
+/**
+ * Loads the panel state from `chrome.storage.local`.
+ *
+ * @returns {Promise<PanelState>} A promise resolving to the panel state, with defaults for missing or invalid values.
+ */
+export async function loadPanelState() {
+    const { panelState } = await chrome.storage.local.get("panelState");
+    return Object.fromEntries(
+        Object.entries(DEFAULT_PANEL_STATE).map(([key, defaultValue]) => [
+            key,
+            typeof panelState?.[key] === "boolean" ? panelState[key] : defaultValue
+        ])
+    );
+}
+
+/**
+ * Saves the panel state to `chrome.storage.local`.
+ *
+ * @param {PanelState} panelState - The panel state to save.
+ * @returns {Promise<void>}
+ */
+export async function savePanelState(panelState) {
+    await chrome.storage.local.set({ panelState: { collapsed: panelState.collapsed, compact: panelState.compact, heatmap: panelState.heatmap } });
+}
@@ -0,0 +1,235 @@
+import { formatClockTime, parseDateKey, toDateKey, toIsoWeekKey } from "./dates";
+import { formatDuration, formatSignedDuration, setDurationFormat } from "./durations";
+import { getFlexBalance, getWeeklyTrend, loadHistory } from "./history";
+import { formatLongDate, formatShortDate, getLanguage, getMessage, localizeElements, resolveLanguage, setLanguage } from "./i18n";
+import { loadSettings } from "./settings";
+
+(function () {
+    "use strict";
+
+    /**
+     * The Tripletex page the content script runs on.
+     */
+    const HOUR_LIST_URL = "https://tripletex.no/execute/updateHourlist";
+
+    /**
+     * Sums a numeric property over a list of days.
+     *
+     * @param {Array<Object>} days - The days from the summary.
+     * @param {string} property - The property to sum.
+     * @returns {number} The sum.
+     */
+    function sumDays(days, property) {
+        return days.reduce((total, day) => total + (day[property] || 0), 0);
+    }
+
+    /**
+     * Renders a list of label/value pairs as a definition list.
+     *
+     * @param {Array<[string, string]>} items - The label/value pairs.
+     * @returns {HTMLDListElement} The rendered list.
+     */
+    function renderFigures(items) {
+        const list = document.createElement("dl");
+        items.forEach(([label, value]) => {
+            const term = document.createElement("dt");
+            term.textContent = label;
+            const description = document.createElement("dd");
+            description.textContent = value;
+            list.append(term, description);
+        });
+        return list;
+    }
+
+    /**
+     * Renders a section with a heading and the given content.
+     *
+     * @param {string} title - The section heading.
+     * @param {(Node|string)} content - The section content.
+     * @returns {HTMLElement} The rendered section.
+     */
+    function renderSection(title, content) {
+        const section = document.createElement("section");
+        const heading = document.createElement("h2");
+        heading.textContent = title;
+        section.append(heading, content);
+        return section;
+    }
+
+    /**
+     * Renders today's figures, this week's totals and the warnings of the loaded period.
+     *
+     * @param {Object} summary - The latest summary sent by the content script.
+     * @param {HTMLElement} container - The element to render into.
+     */
+    function renderSummary(summary, container) {
+        const today = new Date();
+        const todayKey = toDateKey(today);
+        const weekKey = toIsoWeekKey(today);
+        const todayDay = summary.days.find((day) => day.date === todayKey);
+        const weekDays = summary.days.filter((day) => day.date && toIsoWeekKey(parseDateKey(day.date)) === weekKey);
+
+        container.appendChild(
+            renderSection(
+                getMessage("popupToday", formatLongDate(today)),
+                todayDay
+                    ? renderFigures([
+                          [
+                              getMessage("columnTime"),
+                              getMessage("popupOfExpected", [formatDuration(todayDay.totalTimeMs), formatDuration(todayDay.expectedTimeMs)])
+                          ],
+                          [getMessage("columnRegistered"), formatDuration(todayDay.registeredTimeMs)],
+                          [getMessage("columnPause"), formatDuration(todayDay.totalGapTimeMs)],
+                          [getMessage("columnOverlap"), formatDuration(todayDay.totalOverlapTimeMs)]
+                      ])
+                    : getMessage("popupNoEntriesToday")
+            )
+        );
+
+        container.appendChild(
+            renderSection(
+                getMessage("popupThisWeek", Number(weekKey.slice(-2))),
+                weekDays.length > 0
+                    ? renderFigures([
+                          [
+                              getMessage("columnTime"),
+                              getMessage("popupOfExpected", [
+                                  formatDuration(sumDays(weekDays, "totalTimeMs")),
+                                  formatDuration(sumDays(weekDays, "expectedTimeMs"))
+                              ])
+                          ],
+                          [getMessage("columnRegistered"), formatDuration(sumDays(weekDays, "registeredTimeMs"))],
+                          [getMessage("columnPause"), formatDuration(sumDays(weekDays, "totalGapTimeMs"))],
+                          [getMessage("columnOverlap"), formatDuration(sumDays(weekDays, "totalOverlapTimeMs"))]
+                      ])
+                    : getMessage("popupWeekNotShown")
+            )
+        );
+
+        const warningsList = document.createElement("ul");
+        summary.days.forEach((day) => {
+            const dayLabel = day.date ? formatShortDate(parseDateKey(day.date)) : day.dayString;
+            day.warnings.forEach((warning) => {
+                const item = document.createElement("li");
+                item.className = warning.severity;
+                item.textContent = `${warning.severity === "violation" ? "⛔" : "⚠️"} ${dayLabel}: ${warning.text}`;
+                warningsList.appendChild(item);
+            });
+        });
+        container.appendChild(
+            renderSection(getMessage("popupWarnings"), warningsList.children.length > 0 ? warningsList : getMessage("popupNoWarnings"))
+        );
+
+        const updatedElement = document.createElement("p");
+        updatedElement.className = "updated";
+        updatedElement.textContent = getMessage("popupUpdated", formatClockTime(new Date(summary.updatedAt)));
+        container.appendChild(updatedElement);
+    }
+
+    /**
+     * Renders a table with one row per week of the trend: logged and expected time, a bar comparing them,
+     * the average pause per day and the number of days with overlap.
+     *
+     * @param {Array<Object>} weeks - The weeks from `getWeeklyTrend`.
+     * @returns {HTMLTableElement} The rendered table.
+     */
+    function renderTrendTable(weeks) {
+        const table = document.createElement("table");
+        table.className = "trend";
+        const headerRow = table.createTHead().insertRow();
+        [getMessage("trendWeek"), getMessage("trendLogged"), "", getMessage("trendAveragePause"), getMessage("columnOverlap")].forEach((label) => {
+            const cell = document.createElement("th");
+            cell.textContent = label;
+            headerRow.appendChild(cell);
+        });
+
+        const maxTime = Math.max(...weeks.map((week) => Math.max(week.loggedTimeMs, week.expectedTimeMs)), 1);
+        const body = table.createTBody();
+        weeks.forEach((week) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = String(Number(week.weekKey.slice(-2)));
+            if (week.dayCount === 0) {
+                const emptyCell = row.insertCell();
+                emptyCell.colSpan = 4;
+                emptyCell.className = "empty";
+                emptyCell.textContent = getMessage("trendNotViewed");
+                return;
+            }
+
+            const loggedCell = row.insertCell();
+            loggedCell.textContent = getMessage("popupOfExpected", [formatDuration(week.loggedTimeMs), formatDuration(week.expectedTimeMs)]);
+
+            const barCell = row.insertCell();
+            barCell.className = "bar";
+            const bar = document.createElement("div");
+            bar.style.width = `${(week.loggedTimeMs / maxTime) * 100}%`;
+            bar.className = week.loggedTimeMs >= week.expectedTimeMs ? "reached" : "behind";
+            bar.title = getMessage("trendDays", week.dayCount);
+            barCell.appendChild(bar);
+
+            row.insertCell().textContent = formatDuration(week.averageGapTimeMs);
+            row.insertCell().textContent = getMessage("trendOverlapDays", [week.overlapDayCount, week.dayCount]);
+        });
+        return table;
+    }
+
+    /**
+     * Renders the flex balance and the trend of the last weeks from the history of viewed days.
+     *
+     * @param {Object.<string, Object>} history - The history days keyed by date key.
+     * @param {number} trendWeekCount - The number of weeks to show in the trend.
+     * @param {HTMLElement} container - The element to render into.
+     */
+    function renderHistory(history, trendWeekCount, container) {
+        const flexBalance = getFlexBalance(history);
+        container.appendChild(
+            renderSection(
+                getMessage("flexTitle"),
+                flexBalance.dayCount > 0
+                    ? renderFigures([
+                          [getMessage("flexBalance"), formatSignedDuration(flexBalance.balanceMs)],
+                          [
+                              getMessage("flexBasis"),
+                              getMessage("flexBasisDays", [flexBalance.dayCount, formatShortDate(parseDateKey(flexBalance.firstDate))])
+                          ]
+                      ])
+                    : getMessage("flexEmpty")
+            )
+        );
+
+        const weeks = getWeeklyTrend(history, trendWeekCount);
+        if (weeks.some((week) => week.dayCount > 0)) {
+            container.appendChild(renderSection(getMessage("trendTitle", trendWeekCount), renderTrendTable(weeks)));
+        }
+    }
+
+    /**
+     * Shows the button to open the hour list, unless the active tab already shows it.
+     *
+     * @param {HTMLButtonElement} button - The button to show or hide.
+     */
+    async function setUpOpenHourListButton(button) {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        button.hidden = Boolean(activeTab && activeTab.url && activeTab.url.startsWith(HOUR_LIST_URL));
+        button.onclick = () => {
+            chrome.tabs.create({ url: HOUR_LIST_URL });
+            window.close();
+        };
+    }
+
+    const container = document.getElementById("summary");
+    Promise.all([chrome.storage.session.get("latestSummary"), loadHistory(), loadSettings()]).then(([{ latestSummary }, history, settings]) => {
+        // Follow the language of the panel that sent the summary, as its warnings are written in that language
+        setLanguage(resolveLanguage(settings.language, latestSummary?.language, chrome.i18n.getUILanguage()));
+        document.documentElement.lang = getLanguage();
+        localizeElements(document);
+        setDurationFormat(settings.durationFormat);
+        if (latestSummary) {
+            renderSummary(latestSummary, container);
+        } else {
+            container.textContent = getMessage("popupNoData");
+        }
+        renderHistory(history, settings.trendWeekCount, document.getElementById("history"));
+    });
+    setUpOpenHourListButton(document.getElementById("openHourListButton"));
+})();
@@ -0,0 +1,272 @@
+import { getActivityBreakdown } from "./breakdown";
+import { formatClockTime } from "./dates";
+import { formatDuration } from "./durations";
+import { formatNumericDate, formatShortDate, getLanguage, getMessage } from "./i18n";
+import reportStylesheet from "./report.css";
+import { renderSvgTimeline } from "./timeline";
+
+/**
+ * A day of the report: the group with the figures shown in the panel.
+ *
+ * @typedef {Object} ReportDay
+ * @property {Object} group - The group from `groupTableRows`.
+ * @property {number} expectedTimeMs - The expected working time of the day.
+ * @property {Array<{severity: string, text: string}>} warnings - The warnings of the day, as shown in the popup.
+ */
+
+/**
+ * The contents of a report.
+ *
+ * @typedef {Object} Report
+ * @property {string} viewLabel - The name of the Tripletex view the report is made from.
+ * @property {({start: Date, end: Date}|null)} period - The period shown on the page, if found.
+ * @property {Array<ReportDay>} days - The days of the period.
+ * @property {Object} timelineLayout - The layout from `getTimelineLayout`, so that the timelines match the panel.
+ */
+
+/**
+ * Returns the first and last date of the report: the period shown on the page, or else the first and last day with a date.
+ *
+ * @param {Report} report - The report.
+ * @returns {({start: Date, end: Date}|null)} The period, or null if no day has a date.
+ */
+function getReportPeriod(report) {
+    if (report.period) {
+        return report.period;
+    }
+    const dates = report.days.map((day) => day.group.date).filter(Boolean);
+    return dates.length > 0 ? { start: dates[0], end: dates[dates.length - 1] } : null;
+}
+
+/**
+ * Creates an element with the given class and text in the report document.
+ *
+ * @param {Document} reportDocument - The report document.
+ * @param {string} tagName - The tag name.
+ * @param {string} [className] - The class of the element.
+ * @param {string} [text] - The text of the element.
+ * @returns {HTMLElement} The created element.
+ */
+function createElement(reportDocument, tagName, className, text) {
+    const element = reportDocument.createElement(tagName);
+    if (className) {
+        element.className = className;
+    }
+    if (text !== undefined) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+/**
+ * Adds a row of header cells to a table section.
+ *
+ * @param {Document} reportDocument - The report document.
+ * @param {HTMLTableSectionElement} section - The table head.
+ * @param {Array<string>} labels - The column names.
+ */
+function addHeaderRow(reportDocument, section, labels) {
+    const row = section.insertRow();
+    labels.forEach((label) => row.appendChild(createElement(reportDocument, "th", null, label)));
+}
+
+/**
+ * Renders the table with one row per day: times, pause, overlap and timeline, followed by the totals of the period.
+ *
+ * @param {Document} reportDocument - The report document.
+ * @param {Report} report - The report.
+ * @returns {HTMLTableElement} The rendered table.
+ */
+function renderDaysTable(reportDocument, report) {
+    const table = createElement(reportDocument, "table", "days");
+    addHeaderRow(reportDocument, table.createTHead(), [
+        getMessage("columnDay"),
+        getMessage("columnStart"),
+        getMessage("columnStop"),
+        getMessage("columnTime"),
+        getMessage("columnExpected"),
+        getMessage("columnRegistered"),
+        getMessage("columnPause"),
+        getMessage("columnOverlap"),
+        getMessage("columnTimeline")
+    ]);
+
+    const tableBody = table.createTBody();
+    report.days.forEach(({ group, expectedTimeMs }) => {
+        const row = tableBody.insertRow();
+        row.insertCell().textContent = group.date ? formatShortDate(group.date) : group.dayString || getMessage("unknownDay");
+        row.insertCell().textContent = group.startTime ? formatClockTime(group.startTime) : "";
+        row.insertCell().textContent = group.stopTime ? formatClockTime(group.stopTime) : "";
+        row.insertCell().textContent = `${formatDuration(group.totalTime)}${group.hasOpenStopwatch ? ` ${getMessage("runningMarker")}` : ""}`;
+        [expectedTimeMs, group.registeredTimeMs, group.totalGapTimeMs, group.totalOverlapTimeMs].forEach((time) => {
+            row.insertCell().textContent = formatDuration(time);
+        });
+
+        const timelineCell = row.insertCell();
+        timelineCell.className = "timeline-cell";
+        timelineCell.appendChild(renderSvgTimeline(group, report.timelineLayout));
+    });
+
+    const sumDays = (getTime) => report.days.reduce((total, day) => total + getTime(day), 0);
+    const footerRow = table.createTFoot().insertRow();
+    footerRow.insertCell().textContent = getMessage("breakdownSum");
+    footerRow.insertCell();
+    footerRow.insertCell();
+    [
+        sumDays((day) => day.group.totalTime),
+        sumDays((day) => day.expectedTimeMs),
+        sumDays((day) => day.group.registeredTimeMs),
+        sumDays((day) => day.group.totalGapTimeMs),
+        sumDays((day) => day.group.totalOverlapTimeMs)
+    ].forEach((time) => {
+        footerRow.insertCell().textContent = formatDuration(time);
+    });
+    footerRow.insertCell();
+
+    return table;
+}
+
+/**
+ * Renders the time spent per activity in the period, with each activity's share of the total and its timeline color.
+ * Unlike the panel, the time per day is left out so that the table fits the page for a whole month.
+ *
+ * @param {Document} reportDocument - The report document.
+ * @param {Report} report - The report.
+ * @returns {HTMLTableElement} The rendered table.
+ */
+function renderBreakdownTable(reportDocument, report) {
+    const breakdown = getActivityBreakdown(report.days.map((day) => day.group));
+
+    const table = createElement(reportDocument, "table", "breakdown");
+    addHeaderRow(reportDocument, table.createTHead(), [getMessage("breakdownActivity"), getMessage("breakdownSum"), getMessage("breakdownShare")]);
+
+    const tableBody = table.createTBody();
+    breakdown.activities.forEach((activityRow) => {
+        const row = tableBody.insertRow();
+        const activityCell = row.insertCell();
+        const swatch = createElement(reportDocument, "span", "swatch");
+        swatch.style.backgroundColor = activityRow.color;
+        activityCell.append(swatch, activityRow.activity);
+        row.insertCell().textContent = formatDuration(activityRow.totalTimeMs);
+        row.insertCell().textContent = `${Math.round(activityRow.share * 100)} %`;
+    });
+
+    const footerRow = table.createTFoot().insertRow();
+    footerRow.insertCell().textContent = getMessage("breakdownSum");
+    footerRow.insertCell().textContent = formatDuration(breakdown.totalTimeMs);
+    footerRow.insertCell().textContent = breakdown.totalTimeMs > 0 ? "100 %" : "";
+
+    return table;
+}
+
+/**
+ * Renders the warnings of the period, one line per warning, with the day it concerns.
+ *
+ * @param {Document} reportDocument - The report document.
+ * @param {Report} report - The report.
+ * @returns {HTMLElement} The rendered list, or a paragraph saying that there are no warnings.
+ */
+function renderWarnings(reportDocument, report) {
+    const warningsList = createElement(reportDocument, "ul", "warnings");
+    report.days.forEach(({ group, warnings }) => {
+        const dayLabel = group.date ? formatShortDate(group.date) : group.dayString || getMessage("unknownDay");
+        warnings.forEach((warning) => {
+            const isViolation = warning.severity === "violation";
+            const item = createElement(reportDocument, "li", warning.severity, `${isViolation ? "⛔" : "⚠️"} ${dayLabel}: ${warning.text}`);
+            warningsList.appendChild(item);
+        });
+    });
+    return warningsList.children.length > 0 ? warningsList : createElement(reportDocument, "p", null, getMessage("reportNoWarnings"));
+}
+
+/**
+ * Renders the area for a comment and the signatures of the employee and the approver.
+ *
+ * @param {Document} reportDocument - The report document.
+ * @returns {HTMLElement} The rendered signature area.
+ */
+function renderSignatureArea(reportDocument) {
+    const signatureArea = createElement(reportDocument, "section", "signature-area");
+    signatureArea.appendChild(createElement(reportDocument, "h2", null, getMessage("reportComment")));
+    signatureArea.appendChild(createElement(reportDocument, "div", "comment"));
+
+    const signatures = createElement(reportDocument, "div", "signatures");
+    ["reportEmployee", "reportApprover"].forEach((roleMessageKey) => {
+        const signature = createElement(reportDocument, "div", "signature");
+        signature.appendChild(createElement(reportDocument, "h3", null, getMessage(roleMessageKey)));
+        ["reportDate", "reportSignature"].forEach((fieldMessageKey) => {
+            signature.appendChild(createElement(reportDocument, "div", "signature-line"));
+            signature.appendChild(createElement(reportDocument, "div", "signature-label", getMessage(fieldMessageKey)));
+        });
+        signatures.appendChild(signature);
+    });
+    signatureArea.appendChild(signatures);
+
+    return signatureArea;
+}
+
+/**
+ * Renders a report of the period into a document, replacing its contents. The report has the totals, pause,
+ * overlap and timeline of each day, the time per activity, the warnings and an area for comment and signatures,
+ * laid out for printing or saving as PDF from the print dialog of the browser.
+ *
+ * @param {Document} reportDocument - The document to render into, e.g. of a newly opened window.
+ * @param {Report} report - The report.
+ */
+export function renderReport(reportDocument, report) {
+    const period = getReportPeriod(report);
+    const periodText = period ? `${formatNumericDate(period.start)}–${formatNumericDate(period.end)}` : "";
+
+    reportDocument.documentElement.lang = getLanguage();
+    const styleElement = reportDocument.createElement("style");
+    styleElement.textContent = reportStylesheet;
+    reportDocument.head.replaceChildren(styleElement);
+    // Browsers suggest the title as file name when saving as PDF
+    reportDocument.title = [getMessage("reportTitle"), periodText].filter(Boolean).join(" ");
+
+    const body = reportDocument.body;
+    body.replaceChildren();
+    body.appendChild(createElement(reportDocument, "h1", null, getMessage("reportTitle")));
+    if (period) {
+        body.appendChild(createElement(reportDocument, "p", "report-meta", getMessage("reportPeriod", periodText)));
+    }
+    const createdAt = new Date();
+    body.appendChild(
+        createElement(
+            reportDocument,
+            "p",
+            "report-meta",
+            getMessage("reportSource", [report.viewLabel, `${formatNumericDate(createdAt)} ${formatClockTime(createdAt)}`])
+        )
+    );
+
+    const actions = createElement(reportDocument, "div", "report-actions");
+    const printButton = createElement(reportDocument, "button", null, getMessage("reportPrint"));
+    printButton.type = "button";
+    printButton.onclick = () => reportDocument.defaultView.print();
+    actions.appendChild(printButton);
+    body.appendChild(actions);
+
+    body.appendChild(createElement(reportDocument, "h2", null, getMessage("daysLabel")));
+    body.appendChild(renderDaysTable(reportDocument, report));
+    body.appendChild(createElement(reportDocument, "h2", null, getMessage("reportBreakdown")));
+    body.appendChild(renderBreakdownTable(reportDocument, report));
+    body.appendChild(createElement(reportDocument, "h2", null, getMessage("reportWarnings")));
+    body.appendChild(renderWarnings(reportDocument, report));
+    body.appendChild(renderSignatureArea(reportDocument));
+}
+
+/**
+ * Opens a report of the period in a new window.
+ *
+ * @param {Report} report - The report.
+ * @returns {boolean} False if the browser blocked the window from opening.
+ */
+export function openPrintableReport(report) {
+    const reportWindow = window.open("", "_blank");
+    if (!reportWindow) {
+        return false;
+    }
+    renderReport(reportWindow.document, report);
+    return true;
+}
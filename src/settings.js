@@ -0,0 +1,165 @@
+import { COLOR_PALETTES } from "./colors";
+import { COMPLIANCE_RULES } from "./compliance";
+import { DURATION_FORMATS } from "./durations";
+import { LANGUAGES } from "./i18n";
+
+/**
+ * @typedef {Object} Settings
+ * @property {number[]} expectedHoursPerWeekday - Expected working hours, indexed like `Date.prototype.getDay()`, i.e. 0 is Sunday and 6 is Saturday.
+ * @property {number} allowedPauseMinutes - The total pause per day before it is shown as a warning.
+ * @property {number} overlapToleranceMinutes - The total overlap per day before it is shown as a warning.
+ * @property {number} discrepancyToleranceMinutes - The difference between registered and stopwatch time before it is shown as a warning.
+ * @property {boolean} sharedTimeScale - Makes every timeline use the same time-of-day axis, so that the same time lines up across days.
+ * @property {Object.<string, boolean>} complianceRules - Enables or disables each working-hours rule by its ID from `COMPLIANCE_RULES`.
+ * @property {string} colorPalette - One of `COLOR_PALETTES`, decides the default activity colors.
+ * @property {string} badgeMode - One of `BADGE_MODES`, decides whether the toolbar badge shows today's hours or warning count.
+ * @property {boolean} reminderEnabled - Whether to remind the user at `reminderTime` on days with expected hours.
+ * @property {string} reminderTime - The time of day of the reminder, as "HH:MM".
+ * @property {number} trendWeekCount - The number of weeks shown in the trend in the popup.
+ * @property {string} language - "auto" to follow the language of Tripletex, or one of `LANGUAGES` from `i18n.js`.
+ * @property {string} durationFormat - One of `DURATION_FORMATS` from `durations.js`.
+ */
+
+/**
+ * What the toolbar badge can show, used as values of the `badgeMode` setting.
+ */
+export const BADGE_MODES = Object.freeze(["hours", "warnings"]);
+
+/**
+ * Default settings used when the user has not saved anything to `chrome.storage.sync` yet.
+ *
+ * @type {Settings}
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+    expectedHoursPerWeekday: Object.freeze([0, 7.5, 7.5, 7.5, 7.5, 7.5, 0]),
+    allowedPauseMinutes: 30,
+    overlapToleranceMinutes: 0,
+    discrepancyToleranceMinutes: 5,
+    sharedTimeScale: false,
+    complianceRules: Object.freeze(Object.fromEntries(COMPLIANCE_RULES.map((rule) => [rule.id, true]))),
+    colorPalette: "default",
+    badgeMode: "hours",
+    reminderEnabled: true,
+    reminderTime: "15:30",
+    trendWeekCount: 8,
+    language: "auto",
+    durationFormat: "hoursMinutes"
+});
+
+/**
+ * Merges stored values on top of the default settings, ignoring values with an unexpected type.
+ *
+ * @param {Object} storedSettings - The raw object read from storage.
+ * @returns {Settings} A complete settings object.
+ */
+export function normalizeSettings(storedSettings) {
+    const settings = {
+        expectedHoursPerWeekday: [...DEFAULT_SETTINGS.expectedHoursPerWeekday],
+        allowedPauseMinutes: DEFAULT_SETTINGS.allowedPauseMinutes,
+        overlapToleranceMinutes: DEFAULT_SETTINGS.overlapToleranceMinutes,
+        discrepancyToleranceMinutes: DEFAULT_SETTINGS.discrepancyToleranceMinutes,
+        sharedTimeScale: DEFAULT_SETTINGS.sharedTimeScale,
+        complianceRules: { ...DEFAULT_SETTINGS.complianceRules },
+        colorPalette: DEFAULT_SETTINGS.colorPalette,
+        badgeMode: DEFAULT_SETTINGS.badgeMode,
+        reminderEnabled: DEFAULT_SETTINGS.reminderEnabled,
+        reminderTime: DEFAULT_SETTINGS.reminderTime,
+        trendWeekCount: DEFAULT_SETTINGS.trendWeekCount,
+        language: DEFAULT_SETTINGS.language,
+        durationFormat: DEFAULT_SETTINGS.durationFormat
+    };
+    if (!storedSettings) {
+        return settings;
+    }
+
+    if (Array.isArray(storedSettings.expectedHoursPerWeekday) && storedSettings.expectedHoursPerWeekday.length === 7) {
+        settings.expectedHoursPerWeekday = storedSettings.expectedHoursPerWeekday.map((hours, weekday) =>
+            Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_SETTINGS.expectedHoursPerWeekday[weekday]
+        );
+    }
+    if (Number.isFinite(storedSettings.allowedPauseMinutes) && storedSettings.allowedPauseMinutes >= 0) {
+        settings.allowedPauseMinutes = storedSettings.allowedPauseMinutes;
+    }
+    if (Number.isFinite(storedSettings.overlapToleranceMinutes) && storedSettings.overlapToleranceMinutes >= 0) {
+        settings.overlapToleranceMinutes = storedSettings.overlapToleranceMinutes;
+    }
+    if (Number.isFinite(storedSettings.discrepancyToleranceMinutes) && storedSettings.discrepancyToleranceMinutes >= 0) {
+        settings.discrepancyToleranceMinutes = storedSettings.discrepancyToleranceMinutes;
+    }
+    if (typeof storedSettings.sharedTimeScale === "boolean") {
+        settings.sharedTimeScale = storedSettings.sharedTimeScale;
+    }
+    if (storedSettings.complianceRules && typeof storedSettings.complianceRules === "object") {
+        Object.keys(settings.complianceRules).forEach((ruleId) => {
+            if (typeof storedSettings.complianceRules[ruleId] === "boolean") {
+                settings.complianceRules[ruleId] = storedSettings.complianceRules[ruleId];
+            }
+        });
+    }
+    if (COLOR_PALETTES.includes(storedSettings.colorPalette)) {
+        settings.colorPalette = storedSettings.colorPalette;
+    }
+    if (BADGE_MODES.includes(storedSettings.badgeMode)) {
+        settings.badgeMode = storedSettings.badgeMode;
+    }
+    if (typeof storedSettings.reminderEnabled === "boolean") {
+        settings.reminderEnabled = storedSettings.reminderEnabled;
+    }
+    if (typeof storedSettings.reminderTime === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(storedSettings.reminderTime)) {
+        settings.reminderTime = storedSettings.reminderTime;
+    }
+    if (Number.isInteger(storedSettings.trendWeekCount) && storedSettings.trendWeekCount >= 1 && storedSettings.trendWeekCount <= 52) {
+        settings.trendWeekCount = storedSettings.trendWeekCount;
+    }
+    if (storedSettings.language === "auto" || LANGUAGES.includes(storedSettings.language)) {
+        settings.language = storedSettings.language;
+    }
+    if (DURATION_FORMATS.includes(storedSettings.durationFormat)) {
+        settings.durationFormat = storedSettings.durationFormat;
+    }
+    return settings;
+}
+
+/**
+ * Loads the user's settings from `chrome.storage.sync`.
+ *
+ * @returns {Promise<Settings>} A promise resolving to a complete settings object.
+ */
+export async function loadSettings() {
+    const storedSettings = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+    return normalizeSettings(storedSettings);
+}
+
+/**
+ * Saves the given settings to `chrome.storage.sync`.
+ *
+ * @param {Object} settings - The settings to save. Missing or invalid values are replaced by defaults.
+ * @returns {Promise<void>}
+ */
+export async function saveSettings(settings) {
+    await chrome.storage.sync.set(normalizeSettings(settings));
+}
+
+/**
+ * Calls the given callback with the complete, updated settings whenever they change in `chrome.storage.sync`.
+ *
+ * @param {function(Settings): void} callback - Called with the new settings object.
+ */
+export function onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== "sync") return;
+        if (!Object.keys(DEFAULT_SETTINGS).some((key) => key in changes)) return;
+        loadSettings().then(callback);
+    });
+}
+
+/**
+ * Returns the expected working time for the given weekday in milliseconds.
+ *
+ * @param {Settings} settings - The settings object.
+ * @param {number} weekday - The weekday, 0 (Sunday) to 6 (Saturday).
+ * @returns {number} The expected working time in milliseconds.
+ */
+export function getExpectedTimeForWeekday(settings, weekday) {
+    return settings.expectedHoursPerWeekday[weekday] * 60 * 60 * 1000;
+}
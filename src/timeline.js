@@ -0,0 +1,526 @@
+import { formatClockTime } from "./dates";
+import { formatDuration } from "./durations";
+import { getMessage } from "./i18n";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const HOUR_MS = 60 * 60 * 1000;
+const BAR_HEIGHT = 30;
+const AXIS_HEIGHT = 16;
+
+/**
+ * The smallest part of a timeline that can be zoomed in on, as a fraction of the whole timeline.
+ */
+const MIN_ZOOM_WIDTH = 0.02;
+
+/**
+ * How far the pointer must be dragged across a timeline to zoom in, in pixels. Shorter drags are clicks.
+ */
+const MIN_BRUSH_WIDTH_PX = 5;
+
+/**
+ * The hour axis steps to choose from, in minutes; the smallest step giving at most 12 ticks is used.
+ */
+const AXIS_STEP_MINUTES = [15, 30, 60, 120];
+
+/**
+ * Counter used to give the hatch pattern of each timeline a unique ID within the document.
+ */
+let timelineCount = 0;
+
+/**
+ * Calculates the maximum time span among all groups, from the first start to the last stop.
+ *
+ * @param {Array<{startTime: (Date|null), stopTime: (Date|null)}>} groups - Array of group objects.
+ * @returns {number} The maximum time span found among the groups.
+ */
+export function getMaxGroupTotalTime(groups) {
+    return Math.max(...groups.map((group) => (group.startTime && group.stopTime ? group.stopTime - group.startTime : 0)));
+}
+
+/**
+ * Returns local midnight of the day a group belongs to.
+ *
+ * @param {Object} group - The group object.
+ * @param {(Date|null)} group.date - The date of the group.
+ * @param {(Date|null)} group.startTime - The earliest start time of the group.
+ * @returns {Date} Local midnight of the group's day.
+ */
+function getGroupMidnight(group) {
+    const date = group.date || group.startTime;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Calculates the layout shared by the timelines of all groups.
+ *
+ * With a shared time scale, every timeline covers the same time of day, from the earliest start to the latest stop
+ * of all groups rounded to whole hours, so that the same time of day lines up vertically across days.
+ * Otherwise, each timeline starts at the group's first start and covers the longest span among the groups.
+ * When zoomed in, every timeline shows the same part of its time range.
+ *
+ * @param {Array<Object>} groups - Array of group objects with `date`, `startTime` and `stopTime`.
+ * @param {boolean} sharedTimeScale - Whether to use a shared time-of-day scale for all groups.
+ * @param {({from: number, to: number}|null)} [zoom] - The part of the time range to show, as fractions from 0 to 1, or null to show all.
+ * @returns {{sharedTimeScale: boolean, maxGroupTotalTime: number, startOffset: number, stopOffset: number, zoom: ({from: number, to: number}|null)}}
+ *   The timeline layout.
+ */
+export function getTimelineLayout(groups, sharedTimeScale, zoom = null) {
+    const groupsWithIntervals = groups.filter((group) => group.startTime && group.stopTime);
+    const startOffsets = groupsWithIntervals.map((group) => group.startTime - getGroupMidnight(group));
+    const stopOffsets = groupsWithIntervals.map((group) => group.stopTime - getGroupMidnight(group));
+    // Work continued from the previous day does not start the day, but is shown from midnight as well
+    groups.forEach((group) => {
+        group.intervals
+            .filter((interval) => interval.continuedFromPreviousDay)
+            .forEach((interval) => {
+                startOffsets.push(interval.startTime - getGroupMidnight(group));
+                stopOffsets.push(interval.stopTime - getGroupMidnight(group));
+            });
+    });
+
+    return {
+        sharedTimeScale,
+        maxGroupTotalTime: getMaxGroupTotalTime(groups),
+        startOffset: startOffsets.length > 0 ? Math.floor(Math.min(...startOffsets) / HOUR_MS) * HOUR_MS : 0,
+        stopOffset: stopOffsets.length > 0 ? Math.ceil(Math.max(...stopOffsets) / HOUR_MS) * HOUR_MS : 24 * HOUR_MS,
+        zoom
+    };
+}
+
+/**
+ * Limits a zoom to the timeline and to the smallest zoom width.
+ *
+ * @param {number} from - The start of the part to show, as a fraction of the timeline.
+ * @param {number} to - The end of the part to show, as a fraction of the timeline.
+ * @returns {({from: number, to: number}|null)} The zoom, or null if it covers the whole timeline.
+ */
+export function normalizeTimelineZoom(from, to) {
+    const width = Math.max(to - from, MIN_ZOOM_WIDTH);
+    if (width >= 1) {
+        return null;
+    }
+    const clampedFrom = Math.min(Math.max((from + to) / 2 - width / 2, 0), 1 - width);
+    return { from: clampedFrom, to: clampedFrom + width };
+}
+
+/**
+ * Zooms in or out around the middle of the part of the timeline shown.
+ *
+ * @param {({from: number, to: number}|null)} zoom - The current zoom, or null if the whole timeline is shown.
+ * @param {number} factor - How much to enlarge the part shown, e.g. 0.5 to zoom in and 2 to zoom out.
+ * @returns {({from: number, to: number}|null)} The new zoom.
+ */
+export function scaleTimelineZoom(zoom, factor) {
+    const { from, to } = zoom || { from: 0, to: 1 };
+    const middle = (from + to) / 2;
+    const halfWidth = ((to - from) * factor) / 2;
+    return normalizeTimelineZoom(middle - halfWidth, middle + halfWidth);
+}
+
+/**
+ * Moves the part of the timeline shown earlier or later, keeping its width.
+ *
+ * @param {({from: number, to: number}|null)} zoom - The current zoom, or null if the whole timeline is shown.
+ * @param {number} offset - How far to move, as a fraction of the width shown; negative values move earlier.
+ * @returns {({from: number, to: number}|null)} The new zoom.
+ */
+export function panTimelineZoom(zoom, offset) {
+    if (!zoom) {
+        return null;
+    }
+    const shift = (zoom.to - zoom.from) * offset;
+    return normalizeTimelineZoom(zoom.from + shift, zoom.to + shift);
+}
+
+/**
+ * Returns the time range shown by the timeline of a group.
+ *
+ * @param {Object} group - The group object.
+ * @param {Object} layout - The layout from `getTimelineLayout`.
+ * @returns {{start: number, duration: number}} The start of the range in milliseconds since epoch, and its duration.
+ */
+function getTimelineDomain(group, layout) {
+    if (layout.sharedTimeScale || !group.startTime) {
+        return {
+            start: getGroupMidnight(group).getTime() + layout.startOffset,
+            duration: layout.stopOffset - layout.startOffset
+        };
+    }
+    return { start: +group.startTime, duration: layout.maxGroupTotalTime };
+}
+
+/**
+ * Returns the part of a time range shown when zoomed in.
+ *
+ * @param {{start: number, duration: number}} domain - The time range of the whole timeline.
+ * @param {({from: number, to: number}|null)} zoom - The zoom, or null if the whole timeline is shown.
+ * @returns {{start: number, duration: number}} The time range shown.
+ */
+function getZoomedDomain(domain, zoom) {
+    if (!zoom) {
+        return domain;
+    }
+    return { start: domain.start + zoom.from * domain.duration, duration: (zoom.to - zoom.from) * domain.duration };
+}
+
+/**
+ * Creates an SVG element with the given attributes.
+ *
+ * @param {string} tagName - The SVG tag name.
+ * @param {Object.<string, (string|number)>} attributes - The attributes to set.
+ * @returns {SVGElement} The created element.
+ */
+function createSvgElement(tagName, attributes) {
+    const element = document.createElementNS(SVG_NS, tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Adds a native tooltip to an SVG element.
+ *
+ * @param {SVGElement} element - The element to add the tooltip to.
+ * @param {string} text - The tooltip text.
+ */
+function addSvgTooltip(element, text) {
+    const title = createSvgElement("title", {});
+    title.textContent = text;
+    element.appendChild(title);
+}
+
+/**
+ * Makes a region of a timeline readable by screen readers and reachable with the keyboard.
+ * Only one region of a timeline is in the tab order at a time; see `addKeyboardNavigation`.
+ *
+ * @param {SVGElement} element - The element drawing the region.
+ * @param {string} label - The description of the region.
+ * @param {string} role - "button" if the region can be clicked, otherwise "img".
+ */
+function makeRegionAccessible(element, label, role) {
+    element.setAttribute("role", role);
+    element.setAttribute("aria-label", label);
+    element.setAttribute("tabindex", -1);
+}
+
+/**
+ * Lets the regions of a timeline be inspected with the keyboard. The timeline is a single tab stop,
+ * the arrow keys move between its regions in time order, Home and End move to the first and last region,
+ * and Enter or Space clicks the focused region.
+ *
+ * @param {SVGSVGElement} svg - The timeline.
+ * @param {Array<SVGElement>} regionElements - The elements drawing the regions, in time order.
+ */
+function addKeyboardNavigation(svg, regionElements) {
+    if (regionElements.length === 0) return;
+    regionElements[0].setAttribute("tabindex", 0);
+
+    const keyOffsets = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 };
+    svg.addEventListener("keydown", (event) => {
+        const index = regionElements.indexOf(event.target);
+        if (index === -1) return;
+
+        if (event.key === "Enter" || event.key === " ") {
+            event.preventDefault();
+            event.target.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+            return;
+        }
+
+        let nextIndex;
+        if (event.key in keyOffsets) {
+            nextIndex = Math.min(Math.max(index + keyOffsets[event.key], 0), regionElements.length - 1);
+        } else if (event.key === "Home") {
+            nextIndex = 0;
+        } else if (event.key === "End") {
+            nextIndex = regionElements.length - 1;
+        } else {
+            return;
+        }
+        event.preventDefault();
+        regionElements[index].setAttribute("tabindex", -1);
+        regionElements[nextIndex].setAttribute("tabindex", 0);
+        regionElements[nextIndex].focus();
+    });
+}
+
+/**
+ * Lets the user select part of a timeline by dragging the pointer across it. The selection is drawn while dragging,
+ * and the click ending a drag is stopped so that it does not also click the interval below the pointer.
+ *
+ * @param {SVGSVGElement} svg - The timeline.
+ * @param {function(number, number): void} onSelect - Called with the start and end of the selection, as fractions of the timeline width.
+ */
+function addBrushSelection(svg, onSelect) {
+    let isClickAfterBrush = false;
+
+    svg.addEventListener("pointerdown", (event) => {
+        if (event.button !== 0) return;
+        const bounds = svg.getBoundingClientRect();
+        if (bounds.width === 0) return;
+        const toFraction = (clientX) => Math.min(Math.max((clientX - bounds.left) / bounds.width, 0), 1);
+        const startFraction = toFraction(event.clientX);
+        let stopFraction = startFraction;
+
+        const brush = createSvgElement("rect", {
+            class: "timeline-brush",
+            x: `${startFraction * 100}%`,
+            y: 0,
+            width: 0,
+            height: BAR_HEIGHT,
+            "pointer-events": "none"
+        });
+        svg.appendChild(brush);
+
+        // Follow the pointer on the whole page, so that the drag may end outside the timeline
+        const ownerDocument = svg.ownerDocument;
+        const onPointerMove = (moveEvent) => {
+            stopFraction = toFraction(moveEvent.clientX);
+            brush.setAttribute("x", `${Math.min(startFraction, stopFraction) * 100}%`);
+            brush.setAttribute("width", `${Math.abs(stopFraction - startFraction) * 100}%`);
+        };
+        const onPointerUp = () => {
+            ownerDocument.removeEventListener("pointermove", onPointerMove);
+            ownerDocument.removeEventListener("pointerup", onPointerUp);
+            brush.remove();
+            if (Math.abs(stopFraction - startFraction) * bounds.width >= MIN_BRUSH_WIDTH_PX) {
+                isClickAfterBrush = true;
+                setTimeout(() => {
+                    isClickAfterBrush = false;
+                }, 0);
+                onSelect(Math.min(startFraction, stopFraction), Math.max(startFraction, stopFraction));
+            }
+        };
+        ownerDocument.addEventListener("pointermove", onPointerMove);
+        ownerDocument.addEventListener("pointerup", onPointerUp);
+    });
+
+    svg.addEventListener(
+        "click",
+        (event) => {
+            if (isClickAfterBrush) {
+                event.stopPropagation();
+            }
+        },
+        true
+    );
+}
+
+/**
+ * Formats the time range and duration of a region, e.g. "09:00–12:00 (3t 0m)".
+ * The stop time of a running interval is shown as "nå" in the current language.
+ *
+ * @param {{startTime: Date, stopTime: Date, running: (boolean|undefined)}} region - The region to format.
+ * @returns {string} The formatted time range.
+ */
+function formatTimeRange(region) {
+    const stop = region.running ? getMessage("timelineNow") : formatClockTime(region.stopTime);
+    return `${formatClockTime(region.startTime)}–${stop} (${formatDuration(region.stopTime - region.startTime)})`;
+}
+
+/**
+ * Renders the hour ticks and labels below the bars of a timeline.
+ *
+ * @param {SVGSVGElement} svg - The SVG element to render into.
+ * @param {{start: number, duration: number}} domain - The time range shown by the timeline.
+ * @param {function(number): number} toPercent - Converts a time in milliseconds since epoch to an x position in percent.
+ */
+function renderHourAxis(svg, domain, toPercent) {
+    // Show every hour, every second hour when the timeline covers more than 12 hours, or every quarter or half hour when zoomed in
+    const stepMinutes =
+        AXIS_STEP_MINUTES.find((minutes) => domain.duration <= 12 * minutes * 60 * 1000) || AXIS_STEP_MINUTES[AXIS_STEP_MINUTES.length - 1];
+    const tickStep = stepMinutes * 60 * 1000;
+    const firstTick = new Date(domain.start);
+    firstTick.setMinutes(0, 0, 0);
+    let tick = firstTick.getTime();
+    while (tick < domain.start) {
+        tick += Math.min(tickStep, HOUR_MS);
+    }
+
+    for (; tick <= domain.start + domain.duration; tick += tickStep) {
+        const x = toPercent(tick);
+        svg.appendChild(
+            createSvgElement("line", {
+                class: "timeline-axis",
+                "aria-hidden": "true",
+                x1: `${x}%`,
+                x2: `${x}%`,
+                y1: BAR_HEIGHT,
+                y2: BAR_HEIGHT + 4,
+                stroke: "#757c8a",
+                "stroke-width": 1
+            })
+        );
+        const label = createSvgElement("text", {
+            class: "timeline-axis",
+            "aria-hidden": "true",
+            x: `${x}%`,
+            y: BAR_HEIGHT + AXIS_HEIGHT,
+            "font-size": 10,
+            "text-anchor": "middle",
+            fill: "#757c8a"
+        });
+        label.textContent = tickStep < HOUR_MS ? formatClockTime(new Date(tick)) : formatClockTime(new Date(tick)).slice(0, 2);
+        svg.appendChild(label);
+    }
+}
+
+/**
+ * Renders an SVG timeline for a given group of intervals.
+ *
+ * Each interval is represented as a rectangle positioned and sized according to its start and stop times,
+ * with a tooltip showing the activity, start, stop and duration. Running intervals are drawn with a dashed outline
+ * up to a line marking the current time. Gaps are drawn as hatched regions and overlaps as outlined regions
+ * on top of the intervals. An hour axis is drawn below the intervals. When zoomed in, only the part of
+ * the regions within the zoom is drawn, and dragging across the timeline selects a part to zoom in on.
+ *
+ * For screen readers the timeline is labelled with the time range of the day and described by a list of its
+ * regions in time order. Each region can be inspected with the keyboard, see `addKeyboardNavigation`.
+ *
+ * @param {Object} group - The group containing intervals to render.
+ * @param {number} group.startTime - The start time of the group.
+ * @param {Array<Object>} group.intervals - Array of interval objects.
+ * @param {number} group.intervals[].startTime - The start time of the interval.
+ * @param {number} group.intervals[].stopTime - The stop time of the interval.
+ * @param {string} group.intervals[].color - The color to fill the interval rectangle.
+ * @param {boolean} [group.intervals[].running] - Whether the interval is a running stopwatch, stopping at the current time.
+ * @param {Array<Object>} group.gaps - The gaps of the group.
+ * @param {Array<Object>} group.overlaps - The overlapping regions of the group.
+ * @param {Object} layout - The layout from `getTimelineLayout`, used for scaling.
+ * @param {function(Object): void} [onIntervalClick] - Called with the interval when an interval rectangle is clicked.
+ * @param {function({from: number, to: number}): void} [onZoom] - Called with the part of the whole timeline to zoom in on,
+ *   as fractions from 0 to 1, when the user has dragged across the timeline. Without it, the timeline can not be zoomed by dragging.
+ * @returns {SVGSVGElement} The generated SVG element representing the timeline.
+ */
+export function renderSvgTimeline(group, layout, onIntervalClick, onZoom) {
+    const svg = createSvgElement("svg", { class: "timeline", width: "100%", height: BAR_HEIGHT + AXIS_HEIGHT, overflow: "visible" });
+    svg.setAttribute("role", "group");
+    svg.setAttribute(
+        "aria-label",
+        // Intervals of zero length are left out of the day's span, so a day with only such intervals has no start time
+        group.startTime
+            ? getMessage("timelineLabel", [formatClockTime(group.startTime), formatClockTime(group.stopTime)])
+            : getMessage("timelineEmpty")
+    );
+
+    // A group with neither a date nor a start time, such as a totals row, has no time of day to show
+    if (!group.date && !group.startTime) {
+        return svg;
+    }
+
+    const domain = getZoomedDomain(getTimelineDomain(group, layout), layout.zoom);
+    const toPercent = (time) => ((time - domain.start) / domain.duration) * 100;
+    // The horizontal position of a region, cut to the part shown, or null if it is outside the part shown
+    const getPosition = (region) => {
+        const start = Math.max(toPercent(region.startTime), 0);
+        const stop = Math.min(toPercent(region.stopTime), 100);
+        return stop > start ? { x: `${start}%`, width: `${stop - start}%` } : null;
+    };
+
+    // The regions of the day with their descriptions, for the text description, and the elements drawing them for keyboard navigation
+    const regions = [];
+
+    const hatchPatternId = `gapsNLapsHatch${++timelineCount}`;
+    const defs = createSvgElement("defs", {});
+    const hatchPattern = createSvgElement("pattern", {
+        id: hatchPatternId,
+        width: 6,
+        height: 6,
+        patternUnits: "userSpaceOnUse",
+        patternTransform: "rotate(45)"
+    });
+    hatchPattern.appendChild(createSvgElement("line", { x1: 0, y1: 0, x2: 0, y2: 6, stroke: "#b0b5bf", "stroke-width": 2 }));
+    defs.appendChild(hatchPattern);
+    svg.appendChild(defs);
+
+    group.gaps.forEach((gap) => {
+        const label = getMessage("timelineGap", formatTimeRange(gap));
+        const position = getPosition(gap);
+        if (!position) {
+            regions.push({ element: null, startTime: gap.startTime, label });
+            return;
+        }
+        const rect = createSvgElement("rect", { ...position, y: 4, height: BAR_HEIGHT - 8, fill: `url(#${hatchPatternId})` });
+        addSvgTooltip(rect, label);
+        makeRegionAccessible(rect, label, "img");
+        regions.push({ element: rect, startTime: gap.startTime, label });
+        svg.appendChild(rect);
+    });
+
+    group.intervals.forEach((interval) => {
+        const activity = interval.activity || getMessage("unknownActivity");
+        const name = `${activity}${interval.running ? ` ${getMessage("timelineRunning")}` : ""}`;
+        const label = `${name} ${formatTimeRange(interval)}`;
+        const position = getPosition(interval);
+        if (!position) {
+            regions.push({ element: null, startTime: interval.startTime, label });
+            return;
+        }
+        const rect = createSvgElement("rect", {
+            ...position,
+            y: 0,
+            rx: 5, // Rounded corners
+            ry: 5, // Rounded corners
+            height: BAR_HEIGHT,
+            fill: interval.color,
+            stroke: interval.running ? "#1d6fb8" : "#757c8a",
+            "stroke-width": interval.running ? 2 : 1,
+            // A running interval grows until now, and is open at its right end
+            "stroke-dasharray": interval.running ? "4 2" : "none"
+        });
+        addSvgTooltip(rect, `${name}\n${formatTimeRange(interval)}`);
+        makeRegionAccessible(rect, label, onIntervalClick ? "button" : "img");
+        regions.push({ element: rect, startTime: interval.startTime, label });
+        if (onIntervalClick) {
+            rect.style.cursor = "pointer";
+            rect.addEventListener("click", () => onIntervalClick(interval));
+        }
+        svg.appendChild(rect);
+    });
+
+    group.intervals
+        .filter((interval) => interval.running && toPercent(interval.stopTime) >= 0 && toPercent(interval.stopTime) <= 100)
+        .forEach((interval) => {
+            const x = `${toPercent(interval.stopTime)}%`;
+            svg.appendChild(
+                createSvgElement("line", { "aria-hidden": "true", x1: x, x2: x, y1: -2, y2: BAR_HEIGHT + 2, stroke: "#1d6fb8", "stroke-width": 2 })
+            );
+        });
+
+    group.overlaps.forEach((overlap) => {
+        const label = getMessage("timelineOverlap", formatTimeRange(overlap));
+        const position = getPosition(overlap);
+        if (!position) {
+            regions.push({ element: null, startTime: overlap.startTime, label });
+            return;
+        }
+        const rect = createSvgElement("rect", {
+            ...position,
+            y: 0,
+            height: BAR_HEIGHT,
+            fill: "rgba(230, 57, 70, 0.25)",
+            stroke: "#e63946",
+            "stroke-width": 1,
+            "stroke-dasharray": "3 2",
+            "pointer-events": "none"
+        });
+        makeRegionAccessible(rect, label, "img");
+        regions.push({ element: rect, startTime: overlap.startTime, label });
+        svg.appendChild(rect);
+    });
+
+    renderHourAxis(svg, domain, toPercent);
+
+    // Sorting is stable, so a gap or interval starting at the same time as an overlap comes before it
+    regions.sort((a, b) => a.startTime - b.startTime);
+    const description = createSvgElement("desc", {});
+    description.textContent = regions.map((region) => region.label).join("; ");
+    svg.insertBefore(description, svg.firstChild);
+    addKeyboardNavigation(svg, regions.map((region) => region.element).filter(Boolean));
+
+    if (onZoom) {
+        // The selection is relative to the part shown, and is converted to a part of the whole timeline
+        const { from, to } = layout.zoom || { from: 0, to: 1 };
+        addBrushSelection(svg, (start, stop) => onZoom(normalizeTimelineZoom(from + start * (to - from), from + stop * (to - from))));
+    }
+
+    return svg;
+}
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { getIntervalsFromString } from "../src/analysis";
+import { toDateKey } from "../src/dates";
+import { at, groupDays, toClockRanges } from "./helpers";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("getIntervalsFromString", () => {
+    test("reads every interval and moves a stop before the start to the next day", () => {
+        const intervals = getIntervalsFromString("(08:00 - 11:30) (22:00 - 02:00)", "Utvikling", new Date(2025, 9, 13));
+        assert.deepEqual(
+            intervals.map((interval) => [interval.startTime, interval.stopTime, interval.running]),
+            [
+                [at("2025-10-13", "08:00"), at("2025-10-13", "11:30"), false],
+                [at("2025-10-13", "22:00"), at("2025-10-14", "02:00"), false]
+            ]
+        );
+    });
+
+    test("reads a running stopwatch as an interval up to now", () => {
+        const [interval] = getIntervalsFromString("(09:30 - )", "Utvikling", new Date(2025, 9, 13), at("2025-10-13", "11:00"));
+        assert.deepEqual([interval.startTime, interval.stopTime, interval.running], [at("2025-10-13", "09:30"), at("2025-10-13", "11:00"), true]);
+    });
+
+    test("lets a stopwatch running since the day before grow past midnight", () => {
+        const [interval] = getIntervalsFromString("(22:00 - )", "Utvikling", new Date(2025, 9, 13), at("2025-10-14", "01:00"));
+        assert.deepEqual([interval.startTime, interval.stopTime, interval.running], [at("2025-10-13", "22:00"), at("2025-10-14", "01:00"), true]);
+    });
+});
+
+describe("groupTableRows", () => {
+    test("calculates the times, gaps and overlaps of each day", () => {
+        const [monday] = groupDays({
+            "Mandag 13.10": [
+                ["Utvikling", "(08:00 - 12:00) (12:30 - 16:00)", 7.5],
+                ["Møte", "(11:30 - 12:00)", 0.5],
+                ["Administrasjon", "", 0.5]
+            ]
+        });
+        assert.equal(toDateKey(monday.date), "2025-10-13");
+        assert.deepEqual([monday.startTime, monday.stopTime], [at("2025-10-13", "08:00"), at("2025-10-13", "16:00")]);
+        assert.equal(monday.totalTime, 8 * HOUR_MS);
+        assert.equal(monday.coveredTimeMs, 7.5 * HOUR_MS);
+        assert.deepEqual(toClockRanges(monday.gaps), ["12:00-12:30"]);
+        assert.deepEqual(toClockRanges(monday.overlaps), ["11:30-12:00"]);
+        assert.equal(monday.registeredTimeMs, 8.5 * HOUR_MS);
+        assert.equal(monday.untimedTimeMs, 0.5 * HOUR_MS);
+        assert.equal(monday.discrepancyMs, 0);
+    });
+
+    test("splits an interval passing midnight between the two days", () => {
+        const [monday, tuesday] = groupDays({
+            "Mandag 13.10": [["Utvikling", "(22:00 - 02:00)", 4]],
+            "Tirsdag 14.10": [["Utvikling", "(08:00 - 12:00)", 4]]
+        });
+        assert.equal(monday.totalTime, 2 * HOUR_MS);
+        assert.equal(tuesday.totalTime, 6 * HOUR_MS);
+        assert.deepEqual(toClockRanges(tuesday.intervals), ["00:00-02:00", "08:00-12:00"]);
+        // The continued work does not start the day, so the night's rest is no pause
+        assert.deepEqual(tuesday.startTime, at("2025-10-14", "08:00"));
+        assert.equal(tuesday.totalGapTimeMs, 0);
+    });
+
+    test("moves the time of a stopwatch running past midnight to the next day", () => {
+        const [monday, tuesday] = groupDays({
+            "Mandag 13.10": [["Utvikling", "(22:00 - )", null]],
+            "Tirsdag 14.10": [["Møte", "(08:00 - 09:00)", 1]]
+        });
+        assert.equal(monday.totalTime, 2 * HOUR_MS);
+        assert.equal(monday.hasOpenStopwatch, false);
+        const [continued] = tuesday.intervals;
+        assert.deepEqual([continued.startTime, continued.running, continued.continuedFromPreviousDay], [at("2025-10-14", "00:00"), true, true]);
+        assert.equal(tuesday.hasOpenStopwatch, true);
+        assert.equal(tuesday.totalTime, continued.stopTime - continued.startTime + HOUR_MS);
+    });
+
+    test("leaves out rows before the first day and rows without time", () => {
+        const groups = groupDays({ "Mandag 13.10": [["Utvikling", "", null]] });
+        assert.equal(groups.length, 1);
+        assert.deepEqual(groups[0].entries, []);
+    });
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { getActivityBreakdown } from "../src/breakdown";
+import { groupDays } from "./helpers";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("getActivityBreakdown", () => {
+    test("counts the stopwatch time of an entry passing midnight on the day it was spent", () => {
+        const groups = groupDays({
+            "Mandag 13.10": [["Support", "(22:00 - 02:00)", null]],
+            "Tirsdag 14.10": [["Utvikling", "(08:00 - 12:00)", null]]
+        });
+        const { activities, groupTotals, totalTimeMs } = getActivityBreakdown(groups);
+        const support = activities.find((row) => row.activity === "Support");
+        assert.deepEqual(support.timesByGroup, [2 * HOUR_MS, 2 * HOUR_MS]);
+        assert.deepEqual(groupTotals, [2 * HOUR_MS, 6 * HOUR_MS]);
+        assert.equal(totalTimeMs, 8 * HOUR_MS);
+    });
+
+    test("counts the registered hours of an entry on its own day", () => {
+        const groups = groupDays({
+            "Mandag 13.10": [["Support", "(22:00 - 02:00)", 3]],
+            "Tirsdag 14.10": [["Utvikling", "(08:00 - 12:00)", 4]]
+        });
+        const { activities, groupTotals } = getActivityBreakdown(groups);
+        assert.deepEqual(
+            activities.map((row) => [row.activity, row.timesByGroup]),
+            [
+                ["Utvikling", [0, 4 * HOUR_MS]],
+                ["Support", [3 * HOUR_MS, 0]]
+            ]
+        );
+        assert.deepEqual(groupTotals, [3 * HOUR_MS, 4 * HOUR_MS]);
+    });
+
+    test("adds up the registered and stopwatch time of an activity and its share", () => {
+        const groups = groupDays({
+            "Mandag 13.10": [
+                ["Utvikling", "", 3],
+                ["Utvikling", "(12:00 - 13:00)", null],
+                ["Møter", "(13:00 - 14:00)", 1]
+            ]
+        });
+        const { activities, totalTimeMs } = getActivityBreakdown(groups);
+        assert.deepEqual(
+            activities.map((row) => [row.activity, row.totalTimeMs, row.share]),
+            [
+                ["Utvikling", 4 * HOUR_MS, 0.8],
+                ["Møter", HOUR_MS, 0.2]
+            ]
+        );
+        assert.equal(totalTimeMs, 5 * HOUR_MS);
+    });
+});
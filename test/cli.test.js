@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { describe, test } from "node:test";
+
+/**
+ * Runs the built command line tool from the repository root, as `yarn analyze` does.
+ *
+ * @param {Array<string>} args - The command line arguments.
+ * @returns {{status: number, stdout: string, stderr: string}} The exit code and output.
+ */
+function runCli(args) {
+    return spawnSync(process.execPath, ["dist/cli.js", ...args], { encoding: "utf8" });
+}
+
+describe("gaps-n-laps", () => {
+    test("prints the analysis of a saved hour list", () => {
+        const { status, stdout } = runCli(["--language", "nb", "fixtures/hour-list.html"]);
+        assert.equal(status, 0);
+        assert.equal(stdout, readFileSync("fixtures/hour-list.expected.txt", "utf8"));
+    });
+
+    test("prints the analysis in the chosen language", () => {
+        const { stdout } = runCli(["--language", "en", "fixtures/hour-list.html"]);
+        assert.match(stdout, /^ {2}Day +Start +Stop +Time +Registered +Break +Overlap$/m);
+    });
+
+    test("exits with code 1 on violations with --strict", () => {
+        assert.equal(runCli(["--strict", "fixtures/hour-list.html"]).status, 1);
+    });
+
+    test("reports a file that cannot be read", () => {
+        const { status, stdout } = runCli(["--language", "en", "fixtures/missing.html"]);
+        assert.equal(status, 1);
+        assert.match(stdout, /Not recognised: Could not read the file/);
+    });
+
+    test("exits with code 2 on incorrect usage", () => {
+        assert.equal(runCli(["--language", "de", "fixtures/hour-list.html"]).status, 2);
+        assert.equal(runCli([]).status, 2);
+    });
+});
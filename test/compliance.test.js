@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { evaluateCompliance } from "../src/compliance";
+import { toDateKey } from "../src/dates";
+import { groupDays } from "./helpers";
+
+/**
+ * Returns the rule IDs and dates of the violations found in the given days.
+ *
+ * @param {Object.<string, Array<[string, string, (number|null)]>>} days - The days, as for `groupDays`.
+ * @param {Object.<string, boolean>} [enabledRules] - Whether each rule is enabled.
+ * @returns {Array<string>} The violations as "ruleId date".
+ */
+function findViolations(days, enabledRules) {
+    return evaluateCompliance(groupDays(days), enabledRules).map((violation) => `${violation.rule.id} ${toDateKey(violation.group.date)}`);
+}
+
+describe("evaluateCompliance", () => {
+    test("finds no violations in a normal day", () => {
+        assert.deepEqual(findViolations({ "Mandag 13.10": [["Utvikling", "(08:00 - 11:30) (12:00 - 15:30)", 7]] }), []);
+    });
+
+    test("reports a long day once, by the stricter rule", () => {
+        assert.deepEqual(findViolations({ "Mandag 13.10": [["Utvikling", "(07:00 - 12:00) (12:30 - 17:30)", 10]] }), ["dayOver9h 2025-10-13"]);
+        assert.deepEqual(findViolations({ "Mandag 13.10": [["Utvikling", "(06:00 - 11:00) (11:30 - 16:30) (17:00 - 21:00)", 14]] }), [
+            "dayOver13h 2025-10-13"
+        ]);
+    });
+
+    test("counts registered hours without stopwatch as working time", () => {
+        assert.deepEqual(
+            findViolations({
+                "Mandag 13.10": [
+                    ["Utvikling", "(08:00 - 11:30) (12:00 - 15:30)", 7],
+                    ["Møte", "", 3]
+                ]
+            }),
+            ["dayOver9h 2025-10-13"]
+        );
+    });
+
+    test("reports continuous work without a break, where short gaps are not breaks", () => {
+        assert.deepEqual(findViolations({ "Mandag 13.10": [["Utvikling", "(08:00 - 11:00) (11:10 - 14:00)", 5.8]] }), ["missingBreak 2025-10-13"]);
+        assert.deepEqual(findViolations({ "Mandag 13.10": [["Utvikling", "(08:00 - 11:00) (11:15 - 14:00)", 5.8]] }), []);
+    });
+
+    test("reports short rest on the day that started too early", () => {
+        assert.deepEqual(
+            findViolations({
+                "Mandag 13.10": [["Utvikling", "(14:00 - 23:00)", 8]],
+                "Tirsdag 14.10": [["Utvikling", "(07:00 - 11:00)", 4]]
+            }),
+            ["missingBreak 2025-10-13", "shortRest 2025-10-14"]
+        );
+    });
+
+    test("measures rest from where work continued past midnight stopped", () => {
+        assert.deepEqual(
+            findViolations({
+                "Mandag 13.10": [["Utvikling", "(20:00 - 01:00)", 5]],
+                "Tirsdag 14.10": [["Utvikling", "(11:00 - 15:00)", 4]]
+            }),
+            ["shortRest 2025-10-14"]
+        );
+    });
+
+    test("does not take a zero-length interval as both the end and the start of the rest", () => {
+        assert.deepEqual(
+            findViolations({
+                "Mandag 13.10": [["Utvikling", "(08:00 - 08:00) (08:00 - 11:30) (12:00 - 16:00)", 7.5]],
+                "Tirsdag 14.10": [["Utvikling", "(08:00 - 11:30) (12:00 - 16:00)", 7.5]]
+            }),
+            []
+        );
+    });
+
+    test("reports a long week on its last loaded day", () => {
+        const longDay = [["Utvikling", "(07:00 - 11:30) (12:00 - 16:30)", 9]];
+        assert.deepEqual(
+            findViolations({
+                "Mandag 13.10": longDay,
+                "Tirsdag 14.10": longDay,
+                "Onsdag 15.10": longDay,
+                "Torsdag 16.10": longDay,
+                "Fredag 17.10": longDay
+            }),
+            ["weekOver40h 2025-10-17"]
+        );
+    });
+
+    test("leaves out disabled rules", () => {
+        assert.deepEqual(findViolations({ "Mandag 13.10": [["Utvikling", "(07:00 - 12:00) (12:30 - 17:30)", 10]] }, { dayOver9h: false }), []);
+    });
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseDateKey, parseDayString, parsePeriodString, toDateKey, toIsoWeekKey } from "../src/dates";
+
+describe("parseDayString", () => {
+    test("reads a day without a year within the period", () => {
+        const period = { start: new Date(2025, 9, 13), end: new Date(2025, 9, 19) };
+        assert.equal(toDateKey(parseDayString("Mandag 13.10", period)), "2025-10-13");
+    });
+
+    test("picks the year of the period the day falls in at the turn of the year", () => {
+        const period = { start: new Date(2025, 11, 29), end: new Date(2026, 0, 4) };
+        assert.equal(toDateKey(parseDayString("Mandag 29.12", period)), "2025-12-29");
+        assert.equal(toDateKey(parseDayString("Fredag 02.01", period)), "2026-01-02");
+    });
+
+    test("reads dates with a year and with month names", () => {
+        assert.equal(toDateKey(parseDayString("13.10.25")), "2025-10-13");
+        assert.equal(toDateKey(parseDayString("mandag 13. oktober 2025")), "2025-10-13");
+    });
+
+    test("rejects days that do not exist and text without a date", () => {
+        assert.equal(parseDayString("31.02.2025"), null);
+        assert.equal(parseDayString("Sum"), null);
+    });
+});
+
+describe("parsePeriodString", () => {
+    test("reads the start and end of a period", () => {
+        const period = parsePeriodString("Periode: 13.10.2025 - 19.10.2025");
+        assert.equal(toDateKey(period.start), "2025-10-13");
+        assert.equal(toDateKey(period.end), "2025-10-19");
+    });
+});
+
+describe("toIsoWeekKey", () => {
+    test("follows ISO 8601 weeks across the turn of the year", () => {
+        assert.equal(toIsoWeekKey(new Date(2025, 9, 13)), "2025-W42");
+        assert.equal(toIsoWeekKey(new Date(2025, 9, 19)), "2025-W42");
+        assert.equal(toIsoWeekKey(new Date(2024, 11, 30)), "2025-W01");
+        assert.equal(toIsoWeekKey(new Date(2021, 0, 3)), "2020-W53");
+    });
+});
+
+describe("parseDateKey", () => {
+    test("reads the keys written by toDateKey and rejects others", () => {
+        assert.equal(toDateKey(parseDateKey("2025-10-13")), "2025-10-13");
+        assert.equal(parseDateKey("2025-02-30"), null);
+        assert.equal(parseDateKey("13.10.2025"), null);
+    });
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { groupsToICalendar } from "../src/export";
+import { groupDays } from "./helpers";
+
+/**
+ * Returns the UIDs of the events in an iCalendar document made from the given days.
+ *
+ * @param {Object.<string, Array<[string, string, (number|null)]>>} days - The days, as for `groupDays`.
+ * @returns {Array<string>} The UIDs.
+ */
+function getUids(days) {
+    return groupsToICalendar(groupDays(days))
+        .split("\r\n")
+        .filter((line) => line.startsWith("UID:"));
+}
+
+describe("groupsToICalendar", () => {
+    test("keeps the UID of an interval when other intervals are added before it", () => {
+        const [uid] = getUids({ "Mandag 13.10": [["Utvikling", "(12:00 - 15:00)", null]] });
+        const uids = getUids({ "Mandag 13.10": [["Utvikling", "(08:00 - 11:00) (12:00 - 15:00)", null]] });
+        assert.equal(uids.length, 2);
+        assert.equal(uids[1], uid);
+    });
+
+    test("keeps the UID of an interval when its stop time changes, as for a running stopwatch", () => {
+        const [uid] = getUids({ "Mandag 13.10": [["Utvikling", "(08:00 - 09:00)", null]] });
+        assert.deepEqual(getUids({ "Mandag 13.10": [["Utvikling", "(08:00 - 10:00)", null]] }), [uid]);
+    });
+
+    test("gives intervals starting at the same time on different activities different UIDs", () => {
+        const uids = getUids({
+            "Mandag 13.10": [
+                ["Utvikling", "(08:00 - 09:00)", null],
+                ["Møter", "(08:00 - 09:00)", null]
+            ]
+        });
+        assert.equal(new Set(uids).size, 2);
+    });
+});
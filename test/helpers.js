@@ -0,0 +1,56 @@
+/**
+ * Helpers shared by the tests, for building the rows a page adapter reads without a page.
+ */
+import { groupTableRows } from "../src/analysis";
+
+/**
+ * The period of the hour list in `fixtures/hour-list.html`, Monday 13 to Sunday 19 October 2025.
+ */
+export const PERIOD = Object.freeze({ start: new Date(2025, 9, 13), end: new Date(2025, 9, 19) });
+
+/**
+ * Returns a local time on a day.
+ *
+ * @param {string} dateKey - The day, "YYYY-MM-DD".
+ * @param {string} time - The time of day, "HH:MM".
+ * @returns {Date} The time.
+ */
+export function at(dateKey, time) {
+    return new Date(`${dateKey}T${time}:00`);
+}
+
+/**
+ * Converts days written as a compact object to the rows read by a page adapter.
+ *
+ * @param {Object.<string, Array<[string, string, (number|null)]>>} days - The entries of each day, keyed by the day string,
+ *   each with the activity, the stopwatch intervals and the registered hours.
+ * @returns {Array<Object>} The page rows, a day row followed by its entry rows.
+ */
+export function toPageRows(days) {
+    return Object.entries(days).flatMap(([dayString, entries], dayIndex) => [
+        { type: "day", element: null, id: `day${dayIndex}`, dayString },
+        ...entries.map(([activity, intervalsText, registeredHours]) => ({ type: "entry", element: null, activity, intervalsText, registeredHours }))
+    ]);
+}
+
+/**
+ * Groups days written as a compact object like `groupTableRows` groups the rows of a page.
+ *
+ * @param {Object.<string, Array<[string, string, (number|null)]>>} days - The entries of each day, as for `toPageRows`.
+ * @param {({start: Date, end: Date}|null)} [period] - The period shown on the page.
+ * @returns {Array<Object>} The groups.
+ */
+export function groupDays(days, period = PERIOD) {
+    return groupTableRows(toPageRows(days), period);
+}
+
+/**
+ * Formats regions as "HH:MM-HH:MM" strings, for comparing them in assertions.
+ *
+ * @param {Array<{startTime: Date, stopTime: Date}>} regions - The regions.
+ * @returns {Array<string>} The formatted regions.
+ */
+export function toClockRanges(regions) {
+    const formatTime = (date) => date.toTimeString().slice(0, 5);
+    return regions.map((region) => `${formatTime(region.startTime)}-${formatTime(region.stopTime)}`);
+}
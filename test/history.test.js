@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { getFlexBalance, getWeeklyTrend, loadHistory, parseHistoryJson, saveSummaryToHistory } from "../src/history";
+import { DEFAULT_SETTINGS } from "../src/settings";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Returns a history day with the given logged and expected hours.
+ *
+ * @param {string} date - The date key.
+ * @param {number} loggedHours - The logged hours.
+ * @param {number} [expectedHours] - The expected hours.
+ * @returns {Object} The history day.
+ */
+function historyDay(date, loggedHours, expectedHours = 7.5) {
+    return {
+        date,
+        loggedTimeMs: loggedHours * HOUR_MS,
+        registeredTimeMs: loggedHours * HOUR_MS,
+        totalTimeMs: loggedHours * HOUR_MS,
+        expectedTimeMs: expectedHours * HOUR_MS,
+        totalGapTimeMs: 0,
+        totalOverlapTimeMs: 0,
+        updatedAt: `${date}T16:00:00.000Z`
+    };
+}
+
+/**
+ * Returns a day of a period summary, as sent by the content script.
+ *
+ * @param {string} date - The date key.
+ * @param {Array<{running: boolean, durationMs: number}>} intervals - The intervals of the day.
+ * @param {number} registeredHours - The registered hours.
+ * @returns {Object} The summary day.
+ */
+function summaryDay(date, intervals, registeredHours) {
+    return {
+        date,
+        registeredTimeMs: registeredHours * HOUR_MS,
+        totalTimeMs: intervals.reduce((total, interval) => total + interval.durationMs, 0),
+        expectedTimeMs: 7.5 * HOUR_MS,
+        totalGapTimeMs: 0,
+        totalOverlapTimeMs: 0,
+        intervals
+    };
+}
+
+describe("getFlexBalance", () => {
+    test("sums logged minus expected time before today", () => {
+        const history = {
+            "2025-10-13": historyDay("2025-10-13", 8),
+            "2025-10-14": historyDay("2025-10-14", 7),
+            "2025-10-15": historyDay("2025-10-15", 2)
+        };
+        assert.deepEqual(getFlexBalance(history, new Date(2025, 9, 15, 12)), { balanceMs: 0, dayCount: 2, firstDate: "2025-10-13" });
+    });
+});
+
+describe("getWeeklyTrend", () => {
+    test("summarizes each ISO week, with empty weeks", () => {
+        const history = {
+            "2025-10-10": historyDay("2025-10-10", 8),
+            "2025-10-13": historyDay("2025-10-13", 6),
+            "2025-10-14": historyDay("2025-10-14", 7)
+        };
+        const weeks = getWeeklyTrend(history, 3, new Date(2025, 9, 15));
+        assert.deepEqual(
+            weeks.map((week) => [week.weekKey, week.dayCount, week.loggedTimeMs / HOUR_MS, week.expectedTimeMs / HOUR_MS]),
+            [
+                ["2025-W40", 0, 0, 0],
+                ["2025-W41", 1, 8, 7.5],
+                ["2025-W42", 2, 13, 15]
+            ]
+        );
+    });
+});
+
+describe("saveSummaryToHistory", () => {
+    let storedHistory;
+    beforeEach(() => {
+        storedHistory = {};
+        globalThis.chrome = {
+            storage: {
+                local: {
+                    get: async () => ({ history: storedHistory }),
+                    set: async ({ history }) => {
+                        storedHistory = history;
+                    }
+                }
+            }
+        };
+    });
+
+    test("stores past working days without entries as nothing logged, but not weekends or today", async () => {
+        await saveSummaryToHistory(
+            {
+                updatedAt: new Date(2025, 9, 17, 12).toISOString(),
+                period: { start: "2025-10-13", end: "2025-10-19" },
+                days: [summaryDay("2025-10-14", [{ running: false, durationMs: 7.5 * HOUR_MS }], 7.5)]
+            },
+            DEFAULT_SETTINGS
+        );
+        const history = await loadHistory();
+        assert.deepEqual(Object.keys(history).sort(), ["2025-10-13", "2025-10-14", "2025-10-15", "2025-10-16"]);
+        assert.equal(history["2025-10-13"].loggedTimeMs, 0);
+        assert.equal(history["2025-10-13"].expectedTimeMs, 7.5 * HOUR_MS);
+        assert.equal(getFlexBalance(history, new Date(2025, 9, 17)).balanceMs, -22.5 * HOUR_MS);
+    });
+
+    test("leaves a running stopwatch out of the logged time", async () => {
+        await saveSummaryToHistory(
+            {
+                updatedAt: new Date(2025, 9, 16, 12).toISOString(),
+                period: null,
+                days: [
+                    summaryDay(
+                        "2025-10-15",
+                        [
+                            { running: false, durationMs: 1 * HOUR_MS },
+                            { running: true, durationMs: 11 * HOUR_MS }
+                        ],
+                        1
+                    )
+                ]
+            },
+            DEFAULT_SETTINGS
+        );
+        const history = await loadHistory();
+        assert.equal(history["2025-10-15"].totalTimeMs, 1 * HOUR_MS);
+        assert.equal(history["2025-10-15"].loggedTimeMs, 1 * HOUR_MS);
+    });
+
+    test("removes stored days of the period that no longer have entries", async () => {
+        storedHistory = { "2025-10-18": historyDay("2025-10-18", 2, 0) };
+        await saveSummaryToHistory(
+            { updatedAt: new Date(2025, 9, 20, 12).toISOString(), period: { start: "2025-10-18", end: "2025-10-19" }, days: [] },
+            DEFAULT_SETTINGS
+        );
+        assert.deepEqual(await loadHistory(), {});
+    });
+});
+
+describe("parseHistoryJson", () => {
+    test("reads the valid days of a history export and rejects other files", () => {
+        const text = JSON.stringify({ format: "gaps-n-laps-history", version: 1, days: [historyDay("2025-10-13", 8), { date: "2025-10-14" }] });
+        assert.deepEqual(
+            parseHistoryJson(text).map((day) => day.date),
+            ["2025-10-13"]
+        );
+        assert.equal(parseHistoryJson(JSON.stringify({ days: [] })), null);
+        assert.equal(parseHistoryJson("not json"), null);
+    });
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+    getIntervalComplement,
+    getIntervalIntersection,
+    getIntervalUnion,
+    getOverlapRegions,
+    getOverlappingPairs,
+    getTotalDuration
+} from "../src/intervals";
+import { at, toClockRanges } from "./helpers";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Returns an interval on Monday 13 October 2025.
+ *
+ * @param {string} start - The start time, "HH:MM".
+ * @param {string} stop - The stop time, "HH:MM".
+ * @returns {{startTime: Date, stopTime: Date}} The interval.
+ */
+function interval(start, stop) {
+    return { startTime: at("2025-10-13", start), stopTime: at("2025-10-13", stop) };
+}
+
+describe("getIntervalUnion", () => {
+    test("merges overlapping and touching intervals in any order", () => {
+        const intervals = [interval("13:00", "14:00"), interval("08:00", "10:00"), interval("09:30", "11:00"), interval("11:00", "11:30")];
+        assert.deepEqual(toClockRanges(getIntervalUnion(intervals)), ["08:00-11:30", "13:00-14:00"]);
+    });
+
+    test("leaves out zero-length intervals", () => {
+        assert.deepEqual(getIntervalUnion([interval("08:00", "08:00")]), []);
+    });
+});
+
+describe("getIntervalComplement", () => {
+    test("returns the uncovered time within the span", () => {
+        const intervals = [interval("09:00", "10:00"), interval("11:00", "12:00")];
+        assert.deepEqual(toClockRanges(getIntervalComplement(intervals, at("2025-10-13", "08:00"), at("2025-10-13", "12:00"))), [
+            "08:00-09:00",
+            "10:00-11:00"
+        ]);
+    });
+});
+
+describe("getOverlapRegions", () => {
+    test("counts time covered by three intervals once", () => {
+        const intervals = [interval("08:00", "12:00"), interval("09:00", "10:00"), interval("09:30", "11:00")];
+        assert.deepEqual(toClockRanges(getOverlapRegions(intervals)), ["09:00-11:00"]);
+    });
+
+    test("does not count touching intervals as overlapping", () => {
+        assert.deepEqual(getOverlapRegions([interval("08:00", "09:00"), interval("09:00", "10:00")]), []);
+    });
+});
+
+describe("getOverlappingPairs", () => {
+    test("returns each overlapping pair with its overlap", () => {
+        const first = interval("08:00", "12:00");
+        const second = interval("11:30", "12:30");
+        const pairs = getOverlappingPairs([second, first, interval("12:30", "13:00")]);
+        assert.equal(pairs.length, 1);
+        assert.equal(pairs[0].first, first);
+        assert.equal(pairs[0].second, second);
+        assert.deepEqual(toClockRanges(pairs), ["11:30-12:00"]);
+    });
+});
+
+describe("getIntervalIntersection", () => {
+    test("returns the time covered by both lists", () => {
+        const intersection = getIntervalIntersection([interval("08:00", "12:00")], [interval("07:00", "09:00"), interval("11:00", "13:00")]);
+        assert.deepEqual(toClockRanges(intersection), ["08:00-09:00", "11:00-12:00"]);
+    });
+});
+
+describe("getTotalDuration", () => {
+    test("counts overlapping time once per interval", () => {
+        assert.equal(getTotalDuration([interval("08:00", "09:00"), interval("08:30", "09:00")]), 90 * MINUTE_MS);
+    });
+});
@@ -1,9 +1,60 @@
+const fs = require("fs");
 const path = require("path");
+const webpack = require("webpack");
 
-module.exports = {
-  entry: "./src/index.js",
-  output: {
-    filename: "main.js",
-    path: path.resolve(__dirname, "dist"),
+module.exports = [
+  {
+    entry: {
+      main: "./src/index.js",
+      options: "./src/options.js",
+      popup: "./src/popup.js",
+      background: "./src/background.js",
+    },
+    output: {
+      filename: "[name].js",
+      path: path.resolve(__dirname, "dist"),
+    },
+    module: {
+      // The panel stylesheet is imported as text and added to the panel's shadow root
+      rules: [{ test: /\.css$/, type: "asset/source" }],
+    },
   },
-};
+  {
+    // The library and command line interface for Node, reading saved pages with jsdom
+    target: "node",
+    entry: {
+      lib: "./src/lib.js",
+      cli: "./src/cli.js",
+    },
+    output: {
+      filename: "[name].js",
+      path: path.resolve(__dirname, "dist"),
+      library: { type: "commonjs2" },
+    },
+    externals: {
+      jsdom: "commonjs jsdom",
+    },
+    plugins: [new webpack.BannerPlugin({ banner: "#!/usr/bin/env node", raw: true, include: "cli.js" })],
+  },
+  {
+    // The tests, one bundle per test file, run with the Node test runner by `yarn test`
+    target: "node",
+    entry: Object.fromEntries(
+      fs
+        .readdirSync(path.resolve(__dirname, "test"))
+        .filter((fileName) => fileName.endsWith(".test.js"))
+        .map((fileName) => [path.basename(fileName, ".js"), `./test/${fileName}`]),
+    ),
+    output: {
+      filename: "[name].js",
+      path: path.resolve(__dirname, "dist/test"),
+    },
+    externals: {
+      jsdom: "commonjs jsdom",
+    },
+    optimization: {
+      // Keep the test bundles readable in failure messages
+      minimize: false,
+    },
+  },
+];